@@ -3,60 +3,172 @@ const APP_STORE = Debug('APPIFI:APP_STORE')
 
 import request from 'superagent'
 import { storeState, storeDispatch } from '../../lib/reducers'
-import { validateRecipe } from '../../lib/utility'
-import { retrieveRecipes, retrieveRepo, recipesRepoMap } from './retrieve'
+import { calcRecipeKeyString } from '../../lib/utility'
+import { retrieveCatalog, retrieveRepo, recipesRepoMap } from './retrieve'
+import catalogs from './catalogs'
+import cache from './cache'
+
+/*
+ * loaded is a list of { catalog, recipes } in descending priority, 
+ * higher priority wins on key conflicts. return recipes and recipe -> catalog uuid map
+ */
+const mergeCatalogs = (loaded) => {
+
+  let keys = new Set()
+  let recipes = []
+  let sources = new Map()
+
+  loaded.forEach(({ catalog, recipes: list }) => 
+    list.forEach(recipe => {
+      let key = calcRecipeKeyString(recipe)
+      if (keys.has(key)) return
+      keys.add(key)
+      recipes.push(recipe)
+      sources.set(recipe, catalog.uuid)
+    }))
+
+  return { recipes, sources }
+}
+
+const catalogStatus = (catalog, status, props) => 
+  Object.assign({}, catalog, { status }, props)
 
 class Appstore {
 
+  constructor() {
+    this.loading = false
+    this.pending = false
+  }
+
+  // a refresh requested while loading (e.g. catalog changed) runs after it
   async refreshAppstore() {
 
-    let appstore = storeState().appstore
-    if (appstore === 'LOADING') {
+    if (this.loading) {
       APP_STORE('Already Loading')
+      this.pending = true
       return
     }
 
-    storeDispatch({
-      type: 'APPSTORE_UPDATE',
-      data: {
-        status: 'LOADING',
-      } 
-    })
+    this.loading = true
+    try {
+      do {
+        this.pending = false
+        await this.refreshOnce()
+      } while (this.pending)
+    }
+    finally {
+      this.loading = false
+    }
+  }
 
-    let recipes = await retrieveRecipes()
-    if (recipes instanceof Error) {
-      storeDispatch({
-        type: 'APPSTORE_UPDATE',
-        data: {
-          status: 'ERROR',
-          code: recipes.code,
-          message: recipes.message,
-        }
-      })
-      return
+  /*
+   * if nothing loaded yet (e.g. booting), cached catalogs are served immediately,
+   * marked as stale, then revalidated. Loaded appstore is kept while revalidating.
+   */
+  async refreshOnce() {
+
+    let list = catalogs.sorted()
+    let enabled = list.filter(c => c.enabled)
+
+    let current = storeState().appstore
+    if (!current || current.status !== 'LOADED') {
+      let cached = await this.compose(list, enabled, true)
+      if (cached.status === 'LOADED') {
+        storeDispatch({
+          type: 'APPSTORE_UPDATE',
+          data: cached
+        })
+      }
+      else {
+        storeDispatch({
+          type: 'APPSTORE_UPDATE',
+          data: {
+            status: 'LOADING',
+            catalogs: list.map(c => catalogStatus(c, c.enabled ? 'LOADING' : 'DISABLED'))
+          } 
+        })
+      }
     }
 
-    let repoMap = await recipesRepoMap(recipes)
-    if (repoMap instanceof Error) { // TODO this seems unnecessary
+    let data = await this.compose(list, enabled, false)
+    await cache.save()
+
+    // keep stale one rather than error
+    current = storeState().appstore
+    if (data.status === 'ERROR' && current && current.status === 'LOADED') {
       storeDispatch({
         type: 'APPSTORE_UPDATE',
-        data: {
-          status: 'ERROR',
-          code: recipes.code,
-          message: recipes.message,
-        }
+        data: Object.assign({}, current, { catalogs: data.catalogs, stale: true })
       })
       return
     }
 
     storeDispatch({
       type: 'APPSTORE_UPDATE',
-      data: {
-        status: 'LOADED',
-        result: { recipes, repoMap }
-      }
+      data
     })
   }
+
+  // retrieve all enabled catalogs and compose appstore state 
+  async compose(list, enabled, cacheOnly) {
+
+    // one broken catalog does not blank the store
+    let results = await Promise.all(enabled.map(c => retrieveCatalog(c, cacheOnly)))
+
+    let statuses = list.map(c => {
+      let index = enabled.indexOf(c)
+      if (index === -1) return catalogStatus(c, 'DISABLED')
+      let r = results[index]
+      if (r instanceof Error) 
+        return catalogStatus(c, 'ERROR', { code: r.code, message: r.message })
+
+      let props = { count: r.recipes.length, invalid: r.invalids.length, stale: r.stale, fetchedAt: r.fetchedAt }
+      if (r.error) Object.assign(props, { code: r.error.code, message: r.error.message })
+      return catalogStatus(c, 'LOADED', props)
+    })
+
+    let loaded = enabled
+      .map((catalog, index) => ({ catalog, result: results[index] }))
+      .filter(l => !(l.result instanceof Error))
+      .map(l => ({ catalog: l.catalog, recipes: l.result.recipes }))
+
+    if (enabled.length && loaded.length === 0) {
+      let first = results[0]
+      return {
+        status: 'ERROR',
+        code: first.code,
+        message: first.message,
+        catalogs: statuses
+      }
+    }
+
+    let { recipes, sources } = mergeCatalogs(loaded)
+
+    // invalid recipes are surfaced with reasons, rather than silently dropped
+    let invalids = enabled.reduce((acc, catalog, index) => {
+      let r = results[index]
+      if (r instanceof Error) return acc
+      return [...acc, ...r.invalids.map(inv => Object.assign({ catalog: catalog.uuid }, inv))]
+    }, [])
+
+    let repoMap = await recipesRepoMap(recipes, cacheOnly)
+    if (repoMap instanceof Error) { // TODO this seems unnecessary
+      return {
+        status: 'ERROR',
+        code: repoMap.code,
+        message: repoMap.message,
+        catalogs: statuses
+      }
+    }
+
+    return {
+      status: 'LOADED',
+      stale: cacheOnly || statuses.some(c => c.stale === true),
+      catalogs: statuses,
+      invalids,
+      result: { recipes, repoMap, sources }
+    }
+  }
 }
 
 let appstore = new Appstore()
@@ -73,7 +185,27 @@ const refreshAppstore = async () => appstore.refreshAppstore()
                                     //   APP_STORE('Reloading Failed', e)
                                     // })
 
+const addCatalog = async (props) => {
+  let catalog = await catalogs.add(props)
+  refreshAppstore()
+  return catalog
+}
+
+const updateCatalog = async (uuid, props) => {
+  let catalog = await catalogs.update(uuid, props)
+  refreshAppstore()
+  return catalog
+}
+
+const removeCatalog = async (uuid) => {
+  await catalogs.remove(uuid)
+  refreshAppstore()
+}
+
 export {
   refreshAppstore,  
+  addCatalog,
+  updateCatalog,
+  removeCatalog,
 }
 
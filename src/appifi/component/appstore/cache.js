@@ -0,0 +1,89 @@
+import path from 'path'
+
+import Debug from 'debug'
+const CACHE = Debug('APPIFI:APP_STORE:CACHE')
+
+import { fs, mkdirpAsync, writeObjectAsync } from '../../../common/async'
+
+/*
+  appstore-cache.json, last successfully fetched catalogs and docker hub repos
+  {
+    catalogs: {
+      [url]: { etag, lastModified, fetchedAt, list }
+    },
+    repos: {
+      [namespace/name]: { etag, lastModified, fetchedAt, repo }
+    }
+  }
+
+  etag and lastModified are response headers, sent back as If-None-Match and
+  If-Modified-Since when revalidating. list is the catalog as fetched, its recipes are 
+  validated when used, against the schema of running version.
+ */
+
+const emptyData = () => ({ catalogs: {}, repos: {} })
+
+const isObject = (x) => x !== null && typeof x === 'object' && !Array.isArray(x)
+class Cache {
+
+  constructor() {
+    this.filePath = null
+    this.tmpDir = null
+    this.data = emptyData()
+  }
+
+  async init(dir) {
+
+    this.filePath = path.join(dir, 'appstore-cache.json')
+    this.tmpDir = path.join(dir, 'tmp')
+
+    await mkdirpAsync(this.tmpDir)
+
+    try {
+      let data = JSON.parse(await fs.readFileAsync(this.filePath))
+      if (!isObject(data) || !isObject(data.catalogs) || !isObject(data.repos))
+        throw new Error('unexpected format')
+      this.data = data
+    }
+    catch (e) {
+      // missing or broken cache is not fatal
+      CACHE(`cache not loaded, ${e.message}`)
+      this.data = emptyData()
+    }
+  }
+
+  async save() {
+
+    if (!this.filePath) return
+    try {
+      await writeObjectAsync(this.filePath, this.tmpDir, this.data)
+    }
+    catch (e) {
+      CACHE(`cache not saved, ${e.message}`)
+    }
+  }
+
+  // an entry not usable, e.g. written by older version, is a miss
+  getCatalog(url) {
+    let entry = this.data.catalogs[url]
+    return isObject(entry) && Array.isArray(entry.list) ? entry : undefined
+  }
+
+  // fetchedAt is renewed on every set, including revalidated (not modified) ones
+  setCatalog(url, entry) {
+    this.data.catalogs[url] = Object.assign({}, entry, { fetchedAt: new Date().getTime() })
+  }
+
+  getRepo(key) {
+    let entry = this.data.repos[key]
+    return isObject(entry) ? entry : undefined
+  }
+
+  setRepo(key, entry) {
+    this.data.repos[key] = Object.assign({}, entry, { fetchedAt: new Date().getTime() })
+  }
+}
+
+let cache = new Cache()
+
+export default cache
@@ -0,0 +1,187 @@
+import path from 'path'
+
+import UUID from 'node-uuid'
+import validator from 'validator'
+
+import Debug from 'debug'
+const CATALOGS = Debug('APPIFI:APP_STORE:CATALOGS')
+
+import { fs, mkdirpAsync, writeObjectAsync } from '../../../common/async'
+import { HttpStatusError } from '../../lib/error'
+
+/*
+ * parameterized recipes are published under v2, release.json is kept with literal values
+ * for deployed appifi without parameter support
+ */
+const legacyRecipesURL = 'https://raw.githubusercontent.com/JiangWeiGitHub/dockerMarket/master/recipe/release.json'
+const officialRecipesURL = 'https://raw.githubusercontent.com/JiangWeiGitHub/dockerMarket/master/recipe/v2/release.json'
+
+/*
+  catalogs.json
+  [
+    {
+      uuid,
+      name,
+      url,          // http(s) url of a recipes json, or
+      path,         // absolute path of a recipes json file or a directory of them
+      enabled,
+      priority      // higher priority wins on recipe key conflicts
+    }
+  ]
+ */
+class Catalogs {
+
+  constructor() {
+    this.filePath = null
+    this.tmpDir = null
+    this.list = []
+  }
+
+  /*
+   * local catalog is recipesDir (APPIFI_RECIPES_DIR) if given, on existing catalogs.json
+   * as well, otherwise recipes dir under dir when catalogs.json is created
+   */
+  async init(dir, recipesDir) {
+
+    this.filePath = path.join(dir, 'catalogs.json')
+    this.tmpDir = path.join(dir, 'tmp')
+
+    await mkdirpAsync(this.tmpDir)
+
+    try {
+      this.list = JSON.parse(await fs.readFileAsync(this.filePath))
+      let changed = false
+
+      // official catalog of earlier versions
+      let legacy = this.list.filter(c => c.url === legacyRecipesURL)
+      if (legacy.length) {
+        legacy.forEach(c => c.url = officialRecipesURL)
+        changed = true
+      }
+
+      let local = this.list.find(c => c.name === 'local')
+      if (recipesDir && !(local && local.path === recipesDir)) {
+        await mkdirpAsync(recipesDir)
+        if (local) {
+          local.path = recipesDir
+          delete local.url
+        }
+        else {
+          this.list.push({ uuid: UUID.v4(), name: 'local', path: recipesDir, enabled: true, priority: 100 })
+        }
+        CATALOGS(`local catalog set to ${recipesDir}`)
+        changed = true
+      }
+
+      if (changed) await this.save()
+    }
+    catch (e) {
+      if (e.code !== 'ENOENT') throw e
+
+      let localDir = recipesDir || path.join(dir, 'recipes')
+      await mkdirpAsync(localDir)
+      this.list = [
+        { uuid: UUID.v4(), name: 'local', path: localDir, enabled: true, priority: 100 },
+        { uuid: UUID.v4(), name: 'official', url: officialRecipesURL, enabled: true, priority: 0 }
+      ]
+      await this.save()
+    }
+
+    CATALOGS(`${this.list.length} catalogs loaded from ${this.filePath}`)
+  }
+
+  async save() {
+    await writeObjectAsync(this.filePath, this.tmpDir, this.list)
+  }
+
+  // in descending priority
+  sorted() {
+    return [...this.list].sort((a, b) => b.priority - a.priority)
+  }
+
+  find(uuid) {
+    let catalog = this.list.find(c => c.uuid === uuid)
+    if (!catalog) throw new HttpStatusError(404, `catalog ${uuid} not found`)
+    return catalog
+  }
+
+  // return a validated catalog, merged onto base
+  validate(props, base = {}) {
+
+    if (!props || typeof props !== 'object' || Array.isArray(props))
+      throw new HttpStatusError(400, 'catalog must be an object')
+
+    let catalog = Object.assign({}, base)
+
+    if (props.name !== undefined) catalog.name = props.name
+    if (props.enabled !== undefined) catalog.enabled = props.enabled
+    if (props.priority !== undefined) catalog.priority = props.priority
+
+    // url and path are exclusive
+    if (props.url !== undefined) {
+      catalog.url = props.url
+      delete catalog.path
+    }
+    else if (props.path !== undefined) {
+      catalog.path = props.path
+      delete catalog.url
+    }
+
+    if (typeof catalog.name !== 'string' || catalog.name.length === 0)
+      throw new HttpStatusError(400, 'catalog name must be a non-empty string')
+
+    if (this.list.find(c => c.name === catalog.name && c.uuid !== catalog.uuid))
+      throw new HttpStatusError(409, `catalog ${catalog.name} already exists`)
+
+    if (catalog.url !== undefined &&
+      (typeof catalog.url !== 'string' || !validator.isURL(catalog.url, { protocols: ['http', 'https'], require_protocol: true })))
+      throw new HttpStatusError(400, 'catalog url must be a http(s) url')
+
+    if (catalog.path !== undefined && (typeof catalog.path !== 'string' || !path.isAbsolute(catalog.path)))
+      throw new HttpStatusError(400, 'catalog path must be an absolute path')
+
+    if (catalog.url === undefined && catalog.path === undefined)
+      throw new HttpStatusError(400, 'catalog requires either url or path')
+
+    if (typeof catalog.enabled !== 'boolean')
+      throw new HttpStatusError(400, 'catalog enabled must be a boolean')
+
+    if (!Number.isInteger(catalog.priority))
+      throw new HttpStatusError(400, 'catalog priority must be an integer')
+
+    return catalog
+  }
+
+  async add(props) {
+
+    let catalog = this.validate(props, { uuid: UUID.v4(), enabled: true, priority: 0 })
+    this.list = [...this.list, catalog]
+    await this.save()
+
+    CATALOGS(`catalog ${catalog.name} added`)
+    return catalog
+  }
+
+  async update(uuid, props) {
+
+    let catalog = this.validate(props, this.find(uuid))
+    this.list = this.list.map(c => c.uuid === uuid ? catalog : c)
+    await this.save()
+
+    CATALOGS(`catalog ${catalog.name} updated`)
+    return catalog
+  }
+
+  async remove(uuid) {
+
+    let catalog = this.find(uuid)
+    this.list = this.list.filter(c => c !== catalog)
+    await this.save()
+
+    CATALOGS(`catalog ${catalog.name} removed`)
+  }
+}
+
+let catalogs = new Catalogs()
+
+export default catalogs
@@ -1,8 +1,11 @@
 import Debug from 'debug'
 const RETRIEVE = Debug('APPIFI:APP_STORE:RETRIEVE')
 
+import path from 'path'
 import request from 'superagent'
-import { validateRecipe } from '../../lib/utility'
+import { fs } from '../../../common/async'
+import { partitionRecipes } from '../../lib/utility'
+import cache from './cache'
 
 const defaultPrefixRepoPath = 'https://hub.docker.com/v2/repositories'
 
@@ -11,78 +14,204 @@ class Retrieve {
     this.recipes = null
     this.reposList = null
     this.recipesRepoList = new Map()
-    this.appifiRecipesURL = 'https://raw.githubusercontent.com/JiangWeiGitHub/dockerMarket/master/recipe/release.json'
-    RETRIEVE(`Using ${this.appifiRecipesURL}`)
   }
 
-  async retrieveRecipes() {
+  /*
+   * return { recipes, invalids, stale, fetchedAt, error } or error. url catalogs are revalidated
+   * against cache, and fall back to cache (stale) if failed. cacheOnly does not touch network.
+   * Cached recipes are validated on each use, schema may have changed since fetched.
+   */
+  async retrieveCatalog(catalog, cacheOnly) {
+
+    RETRIEVE(`Retrieve Catalog ${catalog.name}...`)
+
+    if (!catalog.url) {
+      let r = await this.retrieveLocalRecipes(catalog.path)
+      if (r instanceof Error) return r
+      return { recipes: r.recipes, invalids: r.invalids, stale: false, fetchedAt: new Date().getTime() }
+    }
+
+    let cached = cache.getCatalog(catalog.url)
+    let fromCache = (error) => Object.assign(partitionRecipes(cached.list), { 
+      stale: true, 
+      fetchedAt: cached.fetchedAt, 
+      error 
+    })
+
+    if (cacheOnly) return cached ? fromCache() : new Error('catalog not cached')
+
+    let r = await this.retrieveRecipes(catalog.url, cached)
+    if (r instanceof Error) return cached ? fromCache(r) : r
+
+    // unchanged, not re-downloaded
+    if (r.notModified) {
+      if (!cached) return new Error('catalog not modified, but not cached')
+      cache.setCatalog(catalog.url, cached)
+    }
+    else {
+      cache.setCatalog(catalog.url, { etag: r.etag, lastModified: r.lastModified, list: r.list })
+    }
+
+    let entry = cache.getCatalog(catalog.url)
+    return Object.assign(partitionRecipes(entry.list), { stale: false, fetchedAt: entry.fetchedAt })
+  }
+
+  // return { notModified: true }, { list, recipes, invalids, etag, lastModified } or error
+  async retrieveRecipes(url, cached) {
 
     RETRIEVE('Retrieve JSON Recipes...')
 
     let jsonRecipes = null
+    let etag, lastModified
 
     try {
-      let response = await request.get(this.appifiRecipesURL).set('Accept', 'text/plain')
-      if(response.error) {
+      let req = request.get(url).set('Accept', 'text/plain')
+      if (cached && cached.etag) req = req.set('If-None-Match', cached.etag)
+      if (cached && cached.lastModified) req = req.set('If-Modified-Since', cached.lastModified)
+
+      let response = await req
+      if (response.status === 304) {
+        RETRIEVE('Recipes Not Modified')
+        return { notModified: true }
+      }
+      else if(response.error) {
         RETRIEVE('Retrieve Failed')
-        return
+        return response.error
       }
       else if(!response.ok) {
         RETRIEVE('Bad Response')
-        return
+        return new Error('bad response')
       }
       else {
         jsonRecipes = response.text
+        etag = response.header['etag']
+        lastModified = response.header['last-modified']
       }
     }
     catch(error) {
+      // superagent treats 304 as error
+      if (error.status === 304) {
+        RETRIEVE('Recipes Not Modified')
+        return { notModified: true }
+      }
+
       RETRIEVE('Unknown Error')
-      return
+      return error
     }
 
     RETRIEVE('Parse JSON Recipes...')
+    let recipes
     try {
-      this.recipes = JSON.parse(jsonRecipes)
+      recipes = JSON.parse(jsonRecipes)
     }
     catch (error) {
       RETRIEVE('JSON Recipes Parse Error')
       return error
     }
 
-    this.recipes = this.recipes.filter(recipe => validateRecipe(recipe))  
-    RETRIEVE('Recipes Retrieved Success')
+    if (!Array.isArray(recipes)) {
+      RETRIEVE('JSON Recipes Not An Array')
+      return new Error('recipes must be an array')
+    }
+
+    let { recipes: valids, invalids } = partitionRecipes(recipes)
+    RETRIEVE(`Recipes Retrieved Success, ${invalids.length} invalid`)
 
-    return this.recipes
+    return { list: recipes, recipes: valids, invalids, etag, lastModified }
   }
 
-  async retrieveLocalRecipes() {
+  /*
+   * target is a json file, or a dir of *.json files. each file is either a recipe 
+   * or an array of recipes (like recipe/release.json). Broken files in a dir are skipped.
+   * return { recipes, invalids } or error, this promise never reject
+   */
+  async retrieveLocalRecipes(target) {
+
+    RETRIEVE('Retrieve Local Recipes...')
 
+    let files
+    try {
+      let stat = await fs.statAsync(target)
+      files = stat.isDirectory() ?
+        (await fs.readdirAsync(target))
+          .filter(entry => entry.endsWith('.json'))
+          .sort()
+          .map(entry => path.join(target, entry)) :
+        [target]
+    }
+    catch (error) {
+      RETRIEVE('Read Local Recipes Error', error)
+      return error
+    }
+
+    let recipes = []
+    for (let i = 0; i < files.length; i++) {
+
+      let parsed
+      try {
+        parsed = JSON.parse(await fs.readFileAsync(files[i]))
+      }
+      catch (error) {
+        RETRIEVE(`Local Recipe ${files[i]} Parse Error`)
+        if (files[i] === target) return error
+        continue
+      }
+
+      recipes = recipes.concat(Array.isArray(parsed) ? parsed : [parsed])
+    }
+
+    let { recipes: valids, invalids } = partitionRecipes(recipes)
+    RETRIEVE(`${valids.length} Local Recipes Retrieved, ${invalids.length} invalid`)
+
+    return { recipes: valids, invalids }
   }
 
-  // this promise never reject
-  async retrieveRepo(namespace, name) {
+  // return repo, or cached one if failed or not modified. this promise never reject
+  async retrieveRepo(namespace, name, cacheOnly) {
 
     RETRIEVE('Retrieve Repository Infor...')
 
+    let key = `${namespace}/${name}`
+    let cached = cache.getRepo(key)
+    let fallback = cached ? cached.repo : undefined
+
+    if (cacheOnly) return fallback
+
     let jsonRecipes = null
+    let etag, lastModified
 
     try {
-      let response = await request.get(`${defaultPrefixRepoPath}/${namespace}/${name}`).set('Accept', 'application/json')
-      if(response.error) {
+      let req = request.get(`${defaultPrefixRepoPath}/${namespace}/${name}`).set('Accept', 'application/json')
+      if (cached && cached.etag) req = req.set('If-None-Match', cached.etag)
+      if (cached && cached.lastModified) req = req.set('If-Modified-Since', cached.lastModified)
+
+      let response = await req
+      if (response.status === 304) {
+        cache.setRepo(key, cached)
+        return fallback
+      }
+      else if(response.error) {
         RETRIEVE('Retrieve Failed')
-        return
+        return fallback
       }
       else if(!response.ok) {
         RETRIEVE('Bad Response')
-        return
+        return fallback
       }
       else {
         jsonRecipes = response.text
+        etag = response.header['etag']
+        lastModified = response.header['last-modified']
       }
     }
     catch(error) {
+      if (error.status === 304 && cached) {
+        cache.setRepo(key, cached)
+        return fallback
+      }
+
       RETRIEVE('Unknown Error')
-      return
+      return fallback
     }
 
     RETRIEVE('Parse JSON Infor...')
@@ -91,16 +220,32 @@ class Retrieve {
     }
     catch (error) {
       RETRIEVE('JSON Infor Parse Error')
-      return error
+      return fallback
     }
 
+    cache.setRepo(key, { etag, lastModified, repo: this.reposList })
     RETRIEVE('Repository Infor Retrieved Success')
 
     return this.reposList
   }
 
+  // return compressed size of image tag in bytes from docker hub, or null. this promise never reject
+  async retrieveTagSize(namespace, name, tag) {
+
+    try {
+      let response = await request
+        .get(`${defaultPrefixRepoPath}/${namespace}/${name}/tags/${tag}`)
+        .set('Accept', 'application/json')
+      return Number.isInteger(response.body.full_size) ? response.body.full_size : null
+    }
+    catch (error) {
+      RETRIEVE(`Retrieve Tag Size ${namespace}/${name}:${tag} Failed`)
+      return null
+    }
+  }
+
   // retrieve all repos for all recipes, return component -> repo map
-  async recipesRepoMap(recipes) {
+  async recipesRepoMap(recipes, cacheOnly) {
 
     if (!recipes) {
       RETRIEVE(`Recipes Null or Undefined`)
@@ -115,9 +260,9 @@ class Retrieve {
         compos = [...compos, ...recipe.components] : null )
 
     let repos = await Promise.all(compos.map(compo =>
-          this.retrieveRepo(compo.namespace, compo.name)))
+          this.retrieveRepo(compo.namespace, compo.name, cacheOnly)))
 
-    for (let i = 0; i < recipes.length; i ++) {
+    for (let i = 0; i < compos.length; i ++) {
       this.recipesRepoList.set(compos[i], repos[i])
     }
     
@@ -128,12 +273,18 @@ class Retrieve {
 
 let retrieve = new Retrieve()
 
-const retrieveRecipes = async () => await retrieve.retrieveRecipes()
-const retrieveRepo = async (namespace, name) => await retrieve.retrieveRepo(namespace, name)
-const recipesRepoMap = async (recipes) => await retrieve.recipesRepoMap(recipes)
+const retrieveCatalog = async (catalog, cacheOnly) => await retrieve.retrieveCatalog(catalog, cacheOnly)
+const retrieveRecipes = async (url, cached) => await retrieve.retrieveRecipes(url, cached)
+const retrieveLocalRecipes = async (target) => await retrieve.retrieveLocalRecipes(target)
+const retrieveRepo = async (namespace, name, cacheOnly) => await retrieve.retrieveRepo(namespace, name, cacheOnly)
+const retrieveTagSize = async (namespace, name, tag) => await retrieve.retrieveTagSize(namespace, name, tag)
+const recipesRepoMap = async (recipes, cacheOnly) => await retrieve.recipesRepoMap(recipes, cacheOnly)
 
 export {
+  retrieveCatalog,
   retrieveRecipes,
+  retrieveLocalRecipes,
   retrieveRepo,
+  retrieveTagSize,
   recipesRepoMap,
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+import deepmerge from 'deepmerge'
+
+import DefaultParam from '../../lib/defaultParam'
+let containerDefaultOpts = new DefaultParam().getContainerDefault()
+
+import { componentImage } from '../../lib/utility'
+import { applyPortMappings } from './ports'
+
+// host dirs of binds are under appdata dir, by recipe key string
+const processBinds = (appdataDir, recipeKeyString, opt) => {
+
+  if (!opt || !opt.HostConfig || !opt.HostConfig.Binds) return opt
+
+  let subpath = recipeKeyString.replace(/:/g, '/') 
+  opt.HostConfig.Binds = opt.HostConfig.Binds.map(bind => (appdataDir + '/' + subpath + bind))
+  return opt
+}
+
+const processPortBindings = (compo, ports, opt) => {
+
+  if (!opt || !opt.HostConfig || !opt.HostConfig.PortBindings) return opt
+
+  opt.HostConfig.PortBindings = applyPortMappings(compo, opt.HostConfig.PortBindings, ports)
+  return opt
+}
+
+/*
+ * container create body of a resolved component, without appifi label. Image is 
+ * tagged, otherwise docker creates the container from latest.
+ */
+const containerCreateBody = (compo, appdataDir, recipeKeyString, ports) => {
+
+  let opt = deepmerge(containerDefaultOpts, compo.config)
+  opt.Image = componentImage(compo)
+  opt = processBinds(appdataDir, recipeKeyString, opt)
+  opt = processPortBindings(compo, ports, opt)
+  return opt
+}
+
+export { containerCreateBody }
@@ -0,0 +1,234 @@
+import path from 'path'
+
+import validator from 'validator'
+
+import Debug from 'debug'
+const DAEMON_CONFIG = Debug('APPIFI:DOCKER:DAEMON_CONFIG')
+
+import { fs, mkdirpAsync, writeObjectAsync } from '../../../common/async'
+import { storeDispatch } from '../../lib/reducers'
+import { HttpStatusError } from '../../lib/error'
+import { parseEndpoint } from './dockerTransport'
+
+const storageDrivers = ['aufs', 'btrfs', 'devicemapper', 'overlay', 'overlay2', 'vfs', 'zfs']
+const logDrivers = ['json-file', 'syslog', 'journald', 'gelf', 'fluentd', 'none']
+
+const modes = ['private', 'external']
+
+const defaultConfig = {
+  mode: 'private',
+  endpoint: null,
+  tls: null,
+  storageDriver: null,
+  registryMirrors: [],
+  insecureRegistries: [],
+  dns: [],
+  logDriver: null,
+  logOpts: {},
+  httpProxy: null,
+  httpsProxy: null,
+  noProxy: null
+}
+
+const isHttpURL = (url) => typeof url === 'string' &&
+  validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+
+// client certificate of external daemon, { ca, cert, key }, absolute paths of PEM files
+const isTLS = (tls) => tls !== null && typeof tls === 'object' && !Array.isArray(tls) &&
+  Object.keys(tls).length === 3 &&
+  ['ca', 'cert', 'key'].every(key => typeof tls[key] === 'string' && path.isAbsolute(tls[key]))
+
+// host[:port] or CIDR
+const isRegistry = (reg) => typeof reg === 'string' &&
+  (/^[A-Za-z0-9.-]+(:\d{1,5})?$/.test(reg) || /^[0-9.]+\/\d{1,2}$/.test(reg))
+
+/*
+  daemon-config.json, null or empty means docker default
+  {
+    mode,                       // private (spawned and supervised by appifi) or external
+    endpoint,                   // external daemon, unix:///path/to/socket or tcp://host:port
+    tls,                        // null or { ca, cert, key } PEM paths, for tcp endpoint
+    storageDriver,              // one of storageDrivers
+    registryMirrors: [],        // http(s) urls
+    insecureRegistries: [],     // host[:port] or CIDR, e.g. localhost:5000
+    dns: [],                    // ip addresses
+    logDriver,                  // one of logDrivers
+    logOpts: {},                // --log-opt key=value
+    httpProxy,                  // HTTP_PROXY of daemon
+    httpsProxy,                 // HTTPS_PROXY of daemon
+    noProxy                     // NO_PROXY of daemon, comma separated
+  }
+
+  config takes effect on daemon (re)start, mode, endpoint and tls on appifi restart. applied is 
+  the config the running daemon was started (or attached) with, null if not running. Daemon 
+  options other than mode, endpoint and tls do not apply to an external daemon.
+ */
+class DaemonConfig {
+
+  constructor() {
+    this.filePath = null
+    this.tmpDir = null
+    this.config = Object.assign({}, defaultConfig)
+    this.applied = null
+  }
+
+  async init(dir) {
+
+    this.filePath = path.join(dir, 'daemon-config.json')
+    this.tmpDir = path.join(dir, 'tmp')
+
+    await mkdirpAsync(this.tmpDir)
+
+    try {
+      this.config = Object.assign({}, defaultConfig, JSON.parse(await fs.readFileAsync(this.filePath)))
+    }
+    catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.config = Object.assign({}, defaultConfig)
+    }
+
+    DAEMON_CONFIG(`loaded from ${this.filePath}`)
+    this.dispatch()
+  }
+
+  async save() {
+    await writeObjectAsync(this.filePath, this.tmpDir, this.config)
+  }
+
+  // daemon options do not apply to an external daemon, only attaching does
+  restartRequired() {
+
+    if (this.applied === null) return false
+
+    const pick = (c) => this.isExternal() ? { mode: c.mode, endpoint: c.endpoint, tls: c.tls } : c
+    return JSON.stringify(pick(this.applied)) !== JSON.stringify(pick(this.config))
+  }
+
+  facade() {
+    return {
+      config: this.config,
+      restartRequired: this.restartRequired()
+    }
+  }
+
+  dispatch() {
+    storeDispatch({
+      type: 'DAEMON_CONFIG_UPDATE',
+      data: this.facade()
+    })
+  }
+
+  // daemon (re)started with current config
+  markApplied() {
+    this.applied = Object.assign({}, this.config)
+    this.dispatch()
+  }
+
+  markStopped() {
+    this.applied = null
+    this.dispatch()
+  }
+
+  // return a validated config, merged onto base
+  validate(props, base) {
+
+    if (!props || typeof props !== 'object')
+      throw new HttpStatusError(400, 'daemon config must be an object')
+
+    let unknown = Object.keys(props).find(key => !defaultConfig.hasOwnProperty(key))
+    if (unknown)
+      throw new HttpStatusError(400, `unknown daemon config ${unknown}`)
+
+    let config = Object.assign({}, base, props)
+
+    if (modes.indexOf(config.mode) === -1)
+      throw new HttpStatusError(400, `mode must be one of ${modes.join(', ')}`)
+
+    if (config.mode === 'external' && !parseEndpoint(config.endpoint))
+      throw new HttpStatusError(400, 'endpoint of external daemon must be unix:///path or tcp://host:port')
+
+    if (config.endpoint !== null && !parseEndpoint(config.endpoint))
+      throw new HttpStatusError(400, 'endpoint must be null, unix:///path or tcp://host:port')
+
+    if (config.tls !== null && !isTLS(config.tls))
+      throw new HttpStatusError(400, 'tls must be null or { ca, cert, key } of absolute paths')
+
+    if (config.tls !== null && config.endpoint !== null && parseEndpoint(config.endpoint).socketPath)
+      throw new HttpStatusError(400, 'tls does not apply to unix socket endpoint')
+
+    if (config.storageDriver !== null && storageDrivers.indexOf(config.storageDriver) === -1)
+      throw new HttpStatusError(400, `storageDriver must be null or one of ${storageDrivers.join(', ')}`)
+
+    if (!Array.isArray(config.registryMirrors) || !config.registryMirrors.every(isHttpURL))
+      throw new HttpStatusError(400, 'registryMirrors must be an array of http(s) urls')
+
+    if (!Array.isArray(config.insecureRegistries) || !config.insecureRegistries.every(isRegistry))
+      throw new HttpStatusError(400, 'insecureRegistries must be an array of host[:port] or CIDR')
+
+    if (!Array.isArray(config.dns) || !config.dns.every(ip => typeof ip === 'string' && validator.isIP(ip)))
+      throw new HttpStatusError(400, 'dns must be an array of ip addresses')
+
+    if (config.logDriver !== null && logDrivers.indexOf(config.logDriver) === -1)
+      throw new HttpStatusError(400, `logDriver must be null or one of ${logDrivers.join(', ')}`)
+
+    if (!config.logOpts || typeof config.logOpts !== 'object' || Array.isArray(config.logOpts) ||
+      !Object.keys(config.logOpts).every(key => /^[a-z0-9-]+$/.test(key) && typeof config.logOpts[key] === 'string'))
+      throw new HttpStatusError(400, 'logOpts must be an object of string values')
+
+    for (let key of ['httpProxy', 'httpsProxy']) {
+      if (config[key] !== null && !isHttpURL(config[key]))
+        throw new HttpStatusError(400, `${key} must be null or a http(s) url`)
+    }
+
+    if (config.noProxy !== null && typeof config.noProxy !== 'string')
+      throw new HttpStatusError(400, 'noProxy must be null or a string')
+
+    return config
+  }
+
+  async update(props) {
+
+    this.config = this.validate(props, this.config)
+    await this.save()
+    this.dispatch()
+
+    DAEMON_CONFIG(`updated, restart required: ${this.restartRequired()}`)
+    return this.facade()
+  }
+
+  isExternal() {
+    return this.config.mode === 'external'
+  }
+
+  // daemon arguments, besides exec root, graph, host and pid file
+  args() {
+
+    let c = this.config
+    return [
+      ...(c.storageDriver ? [`--storage-driver=${c.storageDriver}`] : []),
+      ...c.registryMirrors.map(url => `--registry-mirror=${url}`),
+      ...c.insecureRegistries.map(reg => `--insecure-registry=${reg}`),
+      ...c.dns.map(ip => `--dns=${ip}`),
+      ...(c.logDriver ? [`--log-driver=${c.logDriver}`] : []),
+      ...Object.keys(c.logOpts).map(key => `--log-opt=${key}=${c.logOpts[key]}`)
+    ]
+  }
+
+  // daemon environment, proxies
+  env() {
+
+    let env = Object.assign({}, process.env)
+    let c = this.config
+    if (c.httpProxy) env.HTTP_PROXY = c.httpProxy
+    if (c.httpsProxy) env.HTTPS_PROXY = c.httpsProxy
+    if (c.noProxy) env.NO_PROXY = c.noProxy
+    return env
+  }
+}
+
+let daemonConfig = new DaemonConfig()
+
+const updateDaemonConfig = async (props) => await daemonConfig.update(props)
+
+export { updateDaemonConfig }
+export default daemonConfig
@@ -0,0 +1,23 @@
+import { permitted } from '../../lib/permissions'
+import { secretMask } from '../../lib/parameters'
+
+// user:pass@ of a proxy url
+const maskProxyCredentials = (url) => 
+  typeof url === 'string' ? url.replace(/^(https?:\/\/)[^\/@]*@/i, `$1${secretMask}@`) : url
+
+/*
+ * daemon config (store state) as seen by user, proxy credentials are only shown to 
+ * those who may change the config
+ */
+const daemonConfigFacade = (state, user) => {
+
+  if (!state || !state.config || permitted(user, 'daemonConfigUpdate')) return state
+
+  let config = Object.assign({}, state.config, {
+    httpProxy: maskProxyCredentials(state.config.httpProxy),
+    httpsProxy: maskProxyCredentials(state.config.httpsProxy)
+  })
+  return Object.assign({}, state, { config })
+}
+
+export { maskProxyCredentials, daemonConfigFacade }
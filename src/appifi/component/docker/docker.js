@@ -3,15 +3,24 @@ import { fs, child, rimrafAsync, mkdirpAsync } from '../../../common/async'
 import Debug from 'debug'
 const DOCKER = Debug('APPIFI:DOCKER')
 
-import request from 'superagent'
 
 import { storeState, storeDispatch } from '../../lib/reducers'
+import { HttpStatusError } from '../../lib/error'
+import transport from './dockerTransport'
 import { containerStart, containerStop, containerCreate, containerDelete } from './dockerApi'
 import { refreshAppstore } from '../appstore/appstore' // TODO
 import { dockerEventsAgent, DockerEvents } from './dockerEvents'
 import DockerStateObserver from './dockerStateObserver'
-import { AppInstallTask } from './dockerTasks'
-import { calcRecipeKeyString, appMainContainer, containersToApps } from '../../lib/utility'
+import { AppInstallTask, AppUninstallTask, AppUpgradeTask } from './dockerTasks'
+import { containerCreateBody } from './containerBody'
+import { retrieveTagSize } from '../appstore/retrieve'
+import { calcRecipeKeyString, splitRecipeKeyString, appMainContainer, containersToApps, APPIFI_KEY } from '../../lib/utility'
+import { resolveParameterValues, applyParameters, maskParameterValues, restoreSecretValues } from '../../lib/parameters'
+import secrets from '../../lib/secrets'
+import { createLock } from '../../lib/lock'
+import { usedHostPorts, allocatePorts } from './ports'
+import supervisor from './supervisor'
+import daemonConfig from './daemonConfig'
 
 import Promise from 'bluebird'
 require("babel-polyfill")
@@ -50,20 +59,33 @@ const prepareDirs = async (dir) => {
   await fs.openAsync(dockerPidFile, 'w', (err) => { DOCKER('Create pid file failed: ' + err) })
 }
 
-const probeDaemonGraphDir = (callback) => 
-  request
-    .get('http://localhost:1688/info')
-    .set('Accept', 'application/json')
-    .end((err, res) => {
-      if (err) return callback(err)
-      if (!res.ok) return callback(new Error('request res not ok'))
-      callback(null, res.body.DockerRootDir)
-    })
+// also the health check, a daemon not responding in time is not healthy
+const probeTimeout = 5
+
+const probeDaemonGraphDirAsync = async () => 
+  (await transport.request('GET', '/info', undefined, probeTimeout)).body.DockerRootDir
 
-const probeDaemonGraphDirAsync = Promise.promisify(probeDaemonGraphDir)
+// refused daemon, e.g. too old, is left alone until appifi restarts
+const negotiateAPIVersion = async () => {
+  try {
+    let version = await transport.negotiate()
+    delete dockerStatus.message
+    return version
+  }
+  catch (e) {
+    if (e.code === 'EUNSUPPORTED') {
+      dockerStatus.status = 'Unsupported'
+      dockerStatus.message = e.message
+    }
+    throw e
+  }
+}
 
 const startDockerEvents = async () => {
 
+  let apiVersion = await negotiateAPIVersion()
+  DOCKER(`Docker API version ${apiVersion}`)
+
   let agent = await dockerEventsAgent()
   let events = new DockerEvents(agent)
 
@@ -89,78 +111,110 @@ const startDockerEvents = async () => {
     storeDispatch({
       type: 'DAEMON_STOP'
     })
+
+    // external daemon restarted by others, e.g. systemd
+    if (daemonConfig.isExternal()) attachExternal()
   })
 
   storeDispatch({
     type: 'DAEMON_START',
-    data: { root: graphDir, events }
+    data: { root: graphDir, events, apiVersion }
   }) 
 }
 
-const daemonStart = async () => {
+// seconds between attempts to reach external daemon
+const externalRetry = 5
+
+/*
+ * external daemon is never started or stopped by appifi, it is attached when reachable, 
+ * and re-attached when events end
+ */
+const attachExternal = async () => {
+
+  for (;;) {
+    try {
+      let probed = await probeDaemonGraphDirAsync()
+      DOCKER(`External daemon reachable, root dir ${probed}`)
+      await startDockerEvents()
+      break
+    }
+    catch (e) {
+      if (e.code === 'EUNSUPPORTED') {
+        DOCKER(`External daemon refused, ${e.message}`)
+        return
+      }
+      DOCKER(`External daemon unreachable, ${e.message}, retry in ${externalRetry} seconds`)
+      await Promise.delay(externalRetry * 1000)
+    }
+  }
 
-  let out = fs.openSync('/dev/null', 'w')
-  let err = fs.openSync('/dev/null', 'w')
+  DOCKER('Events listener started')
+  refreshAppstore()
+  daemonConfig.markApplied()
+  dockerStatus.status = 'Started'
+}
 
-  let opts = {
-    detached: true, 
-    stdio: ['ignore', out, err]
-  }
- 
-  let args = [
-    'daemon', 
-    `--exec-root=${execRootDir}`,
-    `--graph=${graphDir}`,
-    '--host=127.0.0.1:1688',  
-    `--pidfile=${dockerPidFile}`
-  ]
+const assertPrivateDaemon = () => {
+  if (daemonConfig.isExternal())
+    throw new HttpStatusError(409, 'docker daemon is external, not managed by appifi')
+}
 
-  let dockerDaemon = child.spawn('docker', args, opts)
+// only appifi-labelled containers are managed in external mode, others belong to someone else
+const managedContainers = (containers) => daemonConfig.isExternal() 
+  ? containers.filter(c => c.Labels && c.Labels[APPIFI_KEY])
+  : containers
 
-  dockerDaemon.on('error', err => {
-    
-    DOCKER('dockerDaemon error >>>>')
-    console.log('dockerDaemon error >>>>')
-    DOCKER(err)
-    console.log(err)
-    DOCKER('dockerDaemon error <<<<')
-    console.log('dockerDaemon error <<<<')
-  })
+// throws 404 if not found or not managed
+const assertManagedContainer = (id) => {
 
-  dockerDaemon.on('exit', (code, signal) => {
-    console.log('aaaaaa')
-    dockerDaemon = null
-    if (code !== undefined) DOCKER(`Daemon exits with exitcode ${code}`)
-    console.log('bbbbbb')
-    DOCKER(args)
-    console.log(args)
-    if (signal !== undefined) DOCKER(`Daemon exits with signal ${signal}`)
-  })
+  let docker = storeState().docker
+  if (!docker || !docker.data) throw new HttpStatusError(503, 'docker not available')
+  if (!managedContainers(docker.data.containers).find(c => c.Id === id))
+    throw new HttpStatusError(404, `container ${id} not found`)
+}
 
-  // await Promise.delay(3000)
-  // console.log(dockerDaemon)
+// health check of supervised daemon, it must be the one on our graph dir
+const daemonHealthy = async () => {
+  let probed = await probeDaemonGraphDirAsync()
+  if (probed !== graphDir) throw new Error(`unexpected daemon graph dir ${probed}`)
+}
 
-  console.log('cccccc')
+// (re-)attach docker events whenever supervised daemon becomes healthy
+supervisor.on('healthy', () => {
 
-  // if (dockerDaemon === null) throw 'docker daemon stopped right after started'
-  // dockerDaemon.unref()
+  if (storeState().docker) return
 
-  console.log('dddddd')
+  startDockerEvents()
+    .then(() => {
+      DOCKER('Events listener started')
+      refreshAppstore()
+      dockerStatus.status = 'Started'
+    })
+    .catch(e => DOCKER(`Events listener failed, ${e.message}`))
+})
 
-  await startDockerEvents()
-  DOCKER('Events listener started')
-  console.log('Events listener started')
-  refreshAppstore()
-  DOCKER('Appstore reloading')
-  console.log('Appstore reloading')
+// daemon is supervised, docker events are attached once it is healthy. Config
+// changed afterwards takes effect on next start
+const daemonStart = async () => {
 
-  dockerStatus.status = 'Started'
-}
+  let command = [
+    'docker',
+    'daemon', 
+    `--exec-root=${execRootDir}`,
+    `--graph=${graphDir}`,
+    '--host=127.0.0.1:1688',  
+    `--pidfile=${dockerPidFile}`,
+    ...daemonConfig.args()
+  ]
 
-const daemonStopCmd = `start-stop-daemon --stop --pidfile ${dockerPidFile} --retry 3`
+  DOCKER(`Supervising daemon: ${command.join(' ')}`)
+  supervisor.start(command, path.join(rootDir, 'docker.log'), daemonHealthy, daemonConfig.env())
+  daemonConfig.markApplied()
+}
 
+// daemon not started by us (already running on init) is stopped via pid file
 const daemonStop3 = callback => 
-  child.exec(daemonStopCmd, (err, stdout, stderr) => {
+  child.exec(`start-stop-daemon --stop --pidfile ${dockerPidFile} --retry 3`, (err, stdout, stderr) => {
     if (err){
       DOCKER('DaemonStop:', err, stdout, stderr)
       console.log('DaemonStop:', err, stdout, stderr)
@@ -175,7 +229,22 @@ const daemonStop3 = callback =>
     callback(err)
   })
 
-const daemonStop = Promise.promisify(daemonStop3)
+const daemonStopPidFile = Promise.promisify(daemonStop3)
+
+const daemonStop = async () => {
+
+  assertPrivateDaemon()
+
+  if (!supervisor.isSupervising() && !supervisor.failed()) 
+    await daemonStopPidFile()
+  else {
+    await supervisor.stop()
+    DOCKER('DaemonStop: success')
+    dockerStatus.status = 'Stopped'
+  }
+
+  daemonConfig.markStopped()
+}
 
 const initAsync = async (dir) => {
 
@@ -186,6 +255,19 @@ const initAsync = async (dir) => {
 
   await prepareDirs(dir)
 
+  if (daemonConfig.isExternal()) {
+    try {
+      transport.configure(daemonConfig.config.endpoint, daemonConfig.config.tls)
+    }
+    catch (e) {
+      DOCKER(`External daemon not attached, ${e.message}`)
+      return
+    }
+    DOCKER(`External daemon @ ${daemonConfig.config.endpoint}`)
+    await attachExternal()
+    return
+  }
+
   DOCKER('Root of the Docker runtime: ', graphDir)
   console.log('Root of the Docker runtime: ', graphDir)
   DOCKER('Root directory for execution state files: ', execRootDir)
@@ -202,19 +284,22 @@ const initAsync = async (dir) => {
   if (probedGraphDir === graphDir) {
     DOCKER(`Daemon already started @ ${rootDir}`)
     console.log(`Daemon already started @ ${rootDir}`)
+    // assumed to be started with current config
+    daemonConfig.markApplied()
   }
   else {
 
     if (probedGraphDir) {
       DOCKER(`Another daemon already started (graphDir) @ {probedGraphDir}, try stopping it`)
       console.log(`Another daemon already started (graphDir) @ {probedGraphDir}, try stopping it`)
-      await daemonStop()
+      await daemonStopPidFile()
       await Promise.delay(1000)
     }
 
     DOCKER(`Starting daemon @ ${rootDir}`)
     console.log(`Starting daemon @ ${rootDir}`)
     await daemonStart()
+    return
   }
 
   await startDockerEvents()
@@ -225,7 +310,8 @@ const initAsync = async (dir) => {
   console.log('Appstore reloading')
 }
 
-function appStatus(recipeKeyString) {
+// installeds or null if docker state not available yet
+const getInstalleds = () => {
 
   let state = storeState()
   
@@ -234,68 +320,194 @@ function appStatus(recipeKeyString) {
       state.docker.data.containers === null ||
       state.docker.computed === null ||
       (!state.docker.computed.installeds))
-  { return 'UNAVAIL' }
+    return null
+
+  return state.docker.computed.installeds
+}
+
+// throws 503 if docker unavailable, 404 if not found
+const findInstalled = (uuid) => {
+
+  let installeds = getInstalleds()
+  if (!installeds) throw new HttpStatusError(503, 'docker not available')
+
+  let installed = installeds.find(inst => inst.uuid === uuid)
+  if (!installed) throw new HttpStatusError(404, `installed app ${uuid} not found`)
+
+  return installed
+}
 
-  let installeds = state.docker.computed.installeds
+// dockerApi returns error rather than throws
+const throwIfError = (r) => {
+  if (r instanceof Error) throw r
+  return r
+}
+
+function appStatus(recipeKeyString) {
+
+  let installeds = getInstalleds()
+  if (!installeds) return 'UNAVAIL'
 
   let inst = installeds.find(i => i.recipeKeyString === recipeKeyString)
   if (inst) return 'INSTALLED'
 
-  let tasks = state.tasks
-  let task = tasks.find(t => t.type === 'appInstall' && t.id === recipeKeyString && t.status === 'started')
+  let tasks = storeState().tasks
+  // queued or started
+  let task = tasks.find(t => t.type === 'appInstall' && t.id === recipeKeyString && t.status !== 'stopped')
   if (task) return 'INSTALLING'
 
+  // app data may still be being deleted
+  task = tasks.find(t => t.type === 'appUninstall' && t.recipeKeyString === recipeKeyString && t.status === 'started')
+  if (task) return 'UNINSTALLING'
+
+  // containers are absent during upgrade
+  task = tasks.find(t => t.type === 'appUpgrade' && t.status === 'started' &&
+    (t.recipeKeyString === recipeKeyString || t.previous.recipeKeyString === recipeKeyString))
+  if (task) return 'UPGRADING'
+
   return 'NOTFOUND'
 }
 
-async function appInstall(recipeKeyString) {
+// docker hub official images are tagged without library namespace
+const imagePresent = (images, compo) => {
+  let repo = compo.namespace === 'library' ? compo.name : `${compo.namespace}/${compo.name}`
+  let tags = [`${repo}:${compo.tag}`, `${compo.namespace}/${compo.name}:${compo.tag}`]
+  return (images || []).some(image => (image.RepoTags || []).some(t => tags.indexOf(t) !== -1))
+}
+
+/*
+ * values are parameter values by name, defaults apply to missing ones. Requested 
+ * host ports in use are reassigned from pool, or rejected with 409 if not autoAssignPorts
+ *
+ * return { recipe, resolved, ports }, resolved being parameter values
+ */
+async function prepareInstall(recipeKeyString, values, autoAssignPorts = true) {
 
   // check if installed or installing
   let status = appStatus(recipeKeyString)
-  if (status !== 'NOTFOUND') {
+  if (status === 'UNAVAIL') {
+    DOCKER(`${recipeKeyString} status: ${status}, install rejected`)
+    throw new HttpStatusError(503, 'docker not available')
+  }
+  else if (status !== 'NOTFOUND') {
     DOCKER(`${recipeKeyString} status: ${status}, install rejected`)
     console.log(`${recipeKeyString} status: ${status}, install rejected`)
-    return
+    throw new HttpStatusError(409, `${recipeKeyString} is ${status.toLowerCase()}`)
   } 
 
   // retrieve recipe
-  let appstore = storeState().appstore.result
+  let appstore = storeState().appstore && storeState().appstore.result
   if (!appstore || !appstore.recipes) {
-    DOCKER(`recipes unavail, failed to install ${appname} (${recipeKeyString})`)
-    console.log(`recipes unavail, failed to install ${appname} (${recipeKeyString})`)
-    return
+    DOCKER(`recipes unavail, failed to install ${recipeKeyString}`)
+    console.log(`recipes unavail, failed to install ${recipeKeyString}`)
+    throw new HttpStatusError(503, 'recipes not available')
   }
 
   let recipe = appstore.recipes.find(r => calcRecipeKeyString(r) === recipeKeyString)
   if (!recipe) {
     DOCKER(`recipe not found: ${recipeKeyString}, install app failed`)
     console.log(`recipe not found: ${recipeKeyString}, install app failed`)
-    return
+    throw new HttpStatusError(404, `recipe ${recipeKeyString} not found`)
   }
 
+  // throws 400 if invalid
+  let resolved = resolveParameterValues(recipe, values)
+
+  // throws 409 if conflicts and not auto assigned
+  let used = usedHostPorts(storeState().docker.data.containers, getInstalleds(), storeState().tasks)
+  let ports = await allocatePorts(applyParameters(recipe, resolved).components, used, autoAssignPorts)
+
+  return { recipe, resolved, ports }
+}
+
+/*
+ * installs and upgrades are serialized from status check to TASK_ADD, host port probing
+ * in between awaits. Otherwise concurrent ones could install the same recipe twice, or
+ * be given the same host port, since only tasks in store are seen.
+ */
+const reserveLock = createLock()
+
+// if rollbackImages, images pulled by a failed install are removed
+const appInstall = (recipeKeyString, values, autoAssignPorts, rollbackImages = false) =>
+  reserveLock(() => appInstallAsync(recipeKeyString, values, autoAssignPorts, rollbackImages))
+
+async function appInstallAsync(recipeKeyString, values, autoAssignPorts, rollbackImages) {
+
+  let { recipe, resolved, ports } = await prepareInstall(recipeKeyString, values, autoAssignPorts)
+
+  let images = storeState().docker.data.images
+  let freshImages = applyParameters(recipe, resolved).components
+    .filter(compo => !imagePresent(images, compo))
+    .map(compo => `${compo.namespace}/${compo.name}:${compo.tag}`)
+
   // remove existing tasks if any
   let tasks = storeState().tasks
   let stopped = tasks.filter(t => t.type === 'appInstall' && t.id === recipeKeyString && t.status === 'stopped')
   stopped.forEach(t => {
     storeDispatch({
       type: 'TASK_REMOVE',
-      task: {
-        type: 'appInstall',
-        id: recipeKeyString 
-      }   
+      task: t
     })
   })
 
   // create task
-  let task = new AppInstallTask(recipe, appDataDir)
+  let task = new AppInstallTask(recipe, appDataDir, resolved, ports, { freshImages, rollbackImages, autoAssignPorts })
   storeDispatch({
     type: 'TASK_ADD',
     task    
   })
+
+  return task
+}
+
+/*
+ * dry run of appInstall, nothing is pulled, created or reserved. Ports allocated
+ * may differ from those of a later install, if taken in between.
+ */
+async function appInstallPlan(recipeKeyString, values, autoAssignPorts) {
+
+  let { recipe, resolved, ports } = await prepareInstall(recipeKeyString, values, autoAssignPorts)
+  let components = applyParameters(recipe, resolved).components
+  let images = storeState().docker.data.images
+
+  let imagePlans = await Promise.all(components.map(async compo => {
+    let present = imagePresent(images, compo)
+    let size = present ? 0 : await retrieveTagSize(compo.namespace, compo.name, compo.tag)
+    return { name: `${compo.namespace}/${compo.name}`, tag: compo.tag, present, size }
+  }))
+
+  // bodies are shown with secrets masked
+  let masked = applyParameters(recipe, maskParameterValues(recipe, resolved)).components
+  let containers = masked.map(compo => ({
+    component: compo.name,
+    body: containerCreateBody(compo, appDataDir, recipeKeyString, ports)
+  }))
+
+  let binds = await Promise.all(containers
+    .reduce((acc, c) => [...acc, ...(c.body.HostConfig.Binds || [])], [])
+    .map(async bind => {
+      let dir = bind.split(':')[0]
+      let exists = await fs.statAsync(dir).then(() => true, () => false)
+      return { path: dir, exists }
+    }))
+
+  return {
+    recipeKeyString,
+    appname: recipe.appname,
+    values: maskParameterValues(recipe, resolved),
+    images: imagePlans,
+    // null if size of any image to pull is unknown
+    downloadSize: imagePlans.some(i => i.size === null) ? null :
+      imagePlans.reduce((sum, i) => sum + i.size, 0),
+    containers,
+    binds,
+    ports
+  }
 }
 
 async function daemonStartOp(uuid) {
 
+  assertPrivateDaemon()
   if (storeState().docker) 
     throw new Error('daemon already started') 
 
@@ -310,12 +522,25 @@ async function daemonStartOp(uuid) {
   await daemonStart()
 }
 
-async function containerDeleteCommand(id) {
+async function containerStartCommand(id) {
 
-  let docker = storeState().docker
-  if (!docker || !docker.computed || !docker.computed.installeds) return null
+  assertManagedContainer(id)
+  let e = await containerStart(id)
+  if (e instanceof Error) throw e
+}
 
-  let installeds = docker.computed.installeds
+async function containerStopCommand(id) {
+
+  assertManagedContainer(id)
+  let e = await containerStop(id)
+  if (e instanceof Error) throw e
+}
+
+async function containerDeleteCommand(id) {
+
+  let installeds = getInstalleds()
+  if (!installeds) throw new HttpStatusError(503, 'docker not available')
+  assertManagedContainer(id)
 
   DOCKER('>>>>')
   console.log('>>>>')
@@ -330,18 +555,18 @@ async function containerDeleteCommand(id) {
   if (inst) {
     DOCKER(`container in apps cannot be deleted directly`)
     console.log(`container in apps cannot be deleted directly`)
-    return null
+    throw new HttpStatusError(409, 'container in apps cannot be deleted directly')
   }
 
-  containerDelete(id)
-    .then(r => {
-      DOCKER(`containerDelete ${id} success`, r)
-      console.log(`containerDelete ${id} success`, r)
-    })
-    .catch(e => {
-      DOCKER(`containerDelete ${id} failed, error: ${e.errno} ${e.message}`)
-      console.log(`containerDelete ${id} failed, error: ${e.errno} ${e.message}`)
-    })
+  let e = await containerDelete(id)
+  if (e instanceof Error) {
+    DOCKER(`containerDelete ${id} failed, error: ${e.errno} ${e.message}`)
+    console.log(`containerDelete ${id} failed, error: ${e.errno} ${e.message}`)
+    throw e
+  }
+
+  DOCKER(`containerDelete ${id} success`)
+  console.log(`containerDelete ${id} success`)
 }
 
 async function installedStart(uuid) {
@@ -349,22 +574,10 @@ async function installedStart(uuid) {
   DOCKER(`installedStart uuid: ${uuid}`)
   console.log(`installedStart uuid: ${uuid}`)
 
-  let state = storeState()
-  
-  if (state.docker === null || 
-      state.docker.data === null ||
-      state.docker.data.containers === null ||
-      state.docker.computed === null ||
-      (!state.docker.computed.installeds))
-    return { errno: -1 }
-
-  let installeds = state.docker.computed.installeds
-  let installed = installeds.find(inst => inst.uuid === uuid)
-  if (!installed) return { errno: -1 }
-
+  let installed = findInstalled(uuid)
   let container = appMainContainer(installed)
   if (container && container.Id) {
-    await containerStart(container.Id)
+    throwIfError(await containerStart(container.Id))
   } 
 }
 
@@ -373,52 +586,181 @@ async function installedStop(uuid) {
   DOCKER(`installedStop uuid: ${uuid}`)
   console.log(`installedStop uuid: ${uuid}`)
 
-  let state = storeState()
-  
-  if (state.docker === null || 
-      state.docker.data === null ||
-      state.docker.data.containers === null ||
-      state.docker.computed === null ||
-      (!state.docker.computed.installeds))
-    return { errno: -1 }
-
-  let installeds = state.docker.computed.installeds
-  let installed = installeds.find(inst => inst.uuid === uuid)
-  if (!installed) return { errno: -1 }
-
+  let installed = findInstalled(uuid)
   let container = appMainContainer(installed)
   if (container && container.Id) {
-    await containerStop(container.Id)
+    throwIfError(await containerStop(container.Id))
   }
 }
 
-async function appUninstall(uuid) {
+// app data and images are kept unless deleteData, deleteImages, return the task
+async function appUninstall(uuid, deleteData = false, deleteImages = false) {
 
   DOCKER(`appUninstall uuid: ${uuid}`)
   console.log(`appUninstall uuid: ${uuid}`)
 
-  let state = storeState()
-  
-  if (state.docker === null || 
-      state.docker.data === null ||
-      state.docker.data.containers === null ||
-      state.docker.computed === null ||
-      (!state.docker.computed.installeds))
-    return { errno: -1 }
+  let installed = findInstalled(uuid)
 
-  let installeds = state.docker.computed.installeds
-  let installed = installeds.find(inst => inst.uuid === uuid)
-  if (!installed) return { errno: -1 }
+  let tasks = storeState().tasks
+  if (tasks.find(t => t.type === 'appUninstall' && t.id === uuid && t.status === 'started'))
+    throw new HttpStatusError(409, `${uuid} is uninstalling`)
 
-  let containers = installed.containers
+  tasks.filter(t => t.type === 'appUninstall' && t.id === uuid && t.status === 'stopped')
+    .forEach(t => storeDispatch({
+      type: 'TASK_REMOVE',
+      task: t
+    }))
 
-  for (let i = 0; i < containers.length; i++) {
-    await containerStop(containers[i].Id)
-  } 
+  let task = new AppUninstallTask(installed, appDataDir, { deleteData, deleteImages })
+  storeDispatch({
+    type: 'TASK_ADD',
+    task
+  })
+  task.run()
+
+  return task
+}
+
+/*
+ * upgrade installed app to recipe of recipeKeyString, which defaults to the installed one
+ * (re-pull same tag). The target must be the same app (registry, namespace, name and flavor),
+ * tag may differ. Parameter values are kept, new parameters take defaults. Host ports are
+ * kept where possible. Return the task.
+ */
+const appUpgrade = (uuid, recipeKeyString) => reserveLock(() => appUpgradeAsync(uuid, recipeKeyString))
+
+async function appUpgradeAsync(uuid, recipeKeyString) {
+
+  DOCKER(`appUpgrade uuid: ${uuid}`)
+
+  let installed = findInstalled(uuid)
+  // label has secrets masked, previous values are needed as well for rollback
+  installed = Object.assign({}, installed, { 
+    values: restoreSecretValues(installed.recipe, installed.values, await secrets.load(uuid)) 
+  })
+
+  let tasks = storeState().tasks
+  let busy = tasks.find(t => (t.type === 'appUpgrade' || t.type === 'appUninstall') && 
+    t.id === uuid && t.status === 'started')
+  if (busy) throw new HttpStatusError(409, `${uuid} is busy, ${busy.type} in progress`)
+
+  let targetKey = recipeKeyString || installed.recipeKeyString
+  let from = splitRecipeKeyString(installed.recipeKeyString)
+  let to = splitRecipeKeyString(targetKey)
+  if (!to || ['registry', 'namespace', 'name', 'flavor'].some(prop => from[prop] !== to[prop]))
+    throw new HttpStatusError(400, `${targetKey} is not a revision of ${installed.recipeKeyString}`)
+
+  if (targetKey !== installed.recipeKeyString && appStatus(targetKey) !== 'NOTFOUND')
+    throw new HttpStatusError(409, `${targetKey} is ${appStatus(targetKey).toLowerCase()}`)
+
+  // latest recipe revision, or the installed one if gone from appstore
+  let appstore = storeState().appstore && storeState().appstore.result
+  let recipe = appstore && appstore.recipes && 
+    appstore.recipes.find(r => calcRecipeKeyString(r) === targetKey)
+  if (!recipe && targetKey === installed.recipeKeyString) recipe = installed.recipe
+  if (!recipe) throw new HttpStatusError(404, `recipe ${targetKey} not found`)
+
+  // values of parameters no longer declared are dropped, throws 400 if new required ones
+  let declared = (recipe.parameters || []).map(p => p.name)
+  let kept = Object.keys(installed.values || {})
+    .filter(name => declared.indexOf(name) !== -1)
+    .reduce((acc, name) => Object.assign(acc, { [name]: installed.values[name] }), {})
+  let values = resolveParameterValues(recipe, kept)
+
+  // previous host ports are requested again, they are owned by the app
+  let previous = installed.ports || []
+  let components = applyParameters(recipe, values).components.map(compo => {
+    let bindings = compo.config.HostConfig && compo.config.HostConfig.PortBindings
+    if (!bindings) return compo
+    let portBindings = Object.keys(bindings).reduce((acc, containerPort) => {
+      let mine = previous.filter(m => m.component === compo.name && m.containerPort === containerPort)
+      acc[containerPort] = bindings[containerPort].map((binding, i) => 
+        mine[i] ? Object.assign({}, binding, { HostPort: mine[i].hostPort }) : binding)
+      return acc
+    }, {})
+    let HostConfig = Object.assign({}, compo.config.HostConfig, { PortBindings: portBindings })
+    return Object.assign({}, compo, { config: Object.assign({}, compo.config, { HostConfig }) })
+  })
+
+  let owned = new Set(previous.map(m => `${m.hostPort}/${m.containerPort.split('/')[1]}`))
+  let used = usedHostPorts(
+    storeState().docker.data.containers.filter(c => !installed.containers.find(ic => ic.Id === c.Id)),
+    getInstalleds().filter(inst => inst.uuid !== uuid), 
+    tasks)
+  let ports = await allocatePorts(components, used, true, owned)
+
+  tasks.filter(t => t.type === 'appUpgrade' && t.id === uuid && t.status === 'stopped')
+    .forEach(t => storeDispatch({
+      type: 'TASK_REMOVE',
+      task: t
+    }))
+
+  let task = new AppUpgradeTask(installed, recipe, appDataDir, values, ports)
+  storeDispatch({
+    type: 'TASK_ADD',
+    task
+  })
+
+  return task
+}
+
+// throws 404 if not found
+const findTask = (type, id) => {
+
+  let task = storeState().tasks.find(t => t.type === type && (t.id === id || t.uuid === id))
+  if (!task) throw new HttpStatusError(404, `${type} task ${id} not found`)
+  return task
+}
+
+// only app install is cancellable, return the task
+async function taskCancel(type, id) {
 
-  for (let i = 0; i < containers.length; i++) {
-    await containerDelete(containers[i].Id) 
+  let task = findTask(type, id)
+  if (typeof task.cancel !== 'function') 
+    throw new HttpStatusError(409, `${type} task is not cancellable`)
+  if (!task.cancel()) 
+    throw new HttpStatusError(409, `${type} task ${id} is not running`)
+
+  return task
+}
+
+// re-run a failed (or cancelled) task with the same arguments, the failed one 
+// is removed by appInstall, appUninstall or appUpgrade, the new one is returned
+async function taskRetry(type, id) {
+
+  let task = findTask(type, id)
+  if (task.status !== 'stopped' || !task.errno)
+    throw new HttpStatusError(409, `${type} task ${id} has not failed`)
+
+  let retried
+  switch (type) {
+  case 'appInstall':
+    retried = await appInstall(task.id, task.values, task.autoAssignPorts, task.rollbackImages)
+    break
+  case 'appUninstall':
+    retried = await appUninstall(task.uuid, task.deleteData, task.deleteImages)
+    break
+  case 'appUpgrade':
+    retried = await appUpgrade(task.uuid, task.recipeKeyString)
+    break
+  default:
+    throw new HttpStatusError(409, `${type} task is not retriable`)
   }
+
+  return retried
+}
+
+// remove a finished task
+async function taskDismiss(type, id) {
+
+  let task = findTask(type, id)
+  if (task.status !== 'stopped')
+    throw new HttpStatusError(409, `${type} task ${id} is running`)
+
+  storeDispatch({
+    type: 'TASK_REMOVE',
+    task
+  })
 }
 
 const getDockerStatus = () => {
@@ -449,12 +791,22 @@ export {
   containerStart,
   containerStop,
   containerDelete,
+  containerStartCommand,
+  containerStopCommand,
+  containerDeleteCommand,
+  managedContainers,
 
   installedStart,
   installedStop,
 
   appInstall,
+  appInstallPlan,
   appUninstall,
+  appUpgrade,
+
+  taskCancel,
+  taskRetry,
+  taskDismiss,
 
   getDockerStatus,
 }
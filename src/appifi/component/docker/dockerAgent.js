@@ -1,4 +1,3 @@
-import http from 'http'
 import events from 'events'
 
 import Debug from 'debug'
@@ -6,7 +5,7 @@ const DOCKER_AGENT = Debug('APPIFI:DOCKER_AGENT')
 
 import { Transform } from '../../lib/transform'
 import { HttpStatusError } from '../../lib/error'
-import DefaultParam from '../../lib/defaultParam'
+import transport from './dockerTransport'
 
 /*
  * This class holds a request object, and delegate connection events to user, if connected.
@@ -15,23 +14,14 @@ class Agent extends events {
 
   constructor(method, path, callback) { 
     super()
-    this.dockerURL = new DefaultParam().getDockerURL()
-    let options = {
-      hostname: this.dockerURL.ip,
-      port: this.dockerURL.port,
-      path: path,
-      method: method,
-      headers: {
-        'Accept': 'application/json'
-      }
-    }
+    let options = transport.requestOptions(method, path, { 'Accept': 'application/json' })
 
-    DOCKER_AGENT('Options value: ' + JSON.stringify(options))
+    DOCKER_AGENT(`${method} ${path} @ ${transport.endpoint}`)
 
     this.aborted = false
     this.closed = false
 
-    this.req = http.request(options, (res) => { 
+    this.req = transport.module().request(options, (res) => { 
       if (res.statusCode === 200) {    
         let conn = new Transform(res)
         conn.on('json', data => this.emit('json', data))
@@ -1,26 +1,19 @@
-import request from 'superagent'
 import Debug from 'debug'
 const DOCKER_API = Debug('APPIFI:DOCKER_API')
 
 import { HttpStatusError } from '../../lib/error'
-import DefaultParam from '../../lib/defaultParam'
+import transport from './dockerTransport'
 
 class DockerAPI {
-  constructor() {
-    let getDockerURL = new DefaultParam().getDockerURL()
-    this.dockerURL = `${getDockerURL.protocol}://${getDockerURL.ip}:${getDockerURL.port}`
-    DOCKER_API('Docker URL: ', this.dockerURL)
-  }
 
   // return err
   async containerStart(id) {
 
     try {
-      let result = await request.post(`${this.dockerURL}/containers/${id}/start`)
-                                .set('Accept', 'application/json')
+      let result = await transport.request('POST', `/containers/${id}/start`)
 
       /*
-        see api doc, v1.23
+        see api doc, v1.24 - v1.28
         204 no error
         304 container already started
         404 no such container
@@ -46,11 +39,10 @@ class DockerAPI {
   async containerStop(id) {
 
     try {
-      let result = await request.post(`${this.dockerURL}/containers/${id}/stop`)
-                                .set('Accept', 'application/json')
+      let result = await transport.request('POST', `/containers/${id}/stop`)
 
       /*
-        see api doc, v1.23
+        see api doc, v1.24 - v1.28
         204 no error
         304 container already started
         404 no such container
@@ -77,9 +69,7 @@ class DockerAPI {
   async containerCreate(option) {
 
     try {
-      let result = await request.post(`${this.dockerURL}/containers/create`)
-                                .set('Accept', 'application/json')
-                                .send(option)
+      let result = await transport.request('POST', '/containers/create', option)
 
       if(result.statusCode === 201) {
         DOCKER_API('Create Success, statusCode: ', result.statusCode)
@@ -100,7 +90,7 @@ class DockerAPI {
   async containerDelete(id) {
 
     try {
-      let result = await request.del(`${this.dockerURL}/containers/${id}?force=true`)
+      let result = await transport.request('DELETE', `/containers/${id}?force=true`)
 
       /*
         api doc
@@ -124,6 +114,78 @@ class DockerAPI {
       return error
     }
   }
+
+  // return container json or err
+  async containerInspect(id) {
+
+    try {
+      let result = await transport.request('GET', `/containers/${id}/json`)
+      return result.body
+    }
+    catch(error) {
+      DOCKER_API('Inspect Unknown Error, error: ', error)
+      return error
+    }
+  }
+
+  // return err, tag image (id or name) as repo:tag
+  async imageTag(image, repo, tag) {
+
+    try {
+      let result = await transport.request('POST', `/images/${image}/tag?repo=${repo}&tag=${tag}`)
+
+      /*
+        api doc
+        201 no error
+        400 bad parameter
+        404 no such image
+        409 conflict
+        500 server error
+      */
+
+      if(result.statusCode === 201 || result.statusCode === 200) {
+        DOCKER_API('Image Tag Success, statusCode: ', result.statusCode)
+        return
+      }
+      else {
+        DOCKER_API('Image Tag Failed, statusCode: ', result.statusCode)
+        return new HttpStatusError(result.statusCode)
+      }
+    }
+    catch(error) {
+      DOCKER_API('Image Tag Unknown Error, error: ', error)
+      return error
+    }
+  }
+
+  // return err, image is name:tag, not forced so images used by other containers are kept
+  async imageDelete(image) {
+
+    try {
+      let result = await transport.request('DELETE', `/images/${image}`)
+
+      /*
+        api doc
+        200 no error
+        404 no such image
+        409 conflict
+        500 server error
+      */
+
+      if(result.statusCode === 200) {
+        DOCKER_API('Image Delete Success, statusCode: ', result.statusCode)
+        return
+      }
+      else {
+        DOCKER_API('Image Delete Failed, statusCode: ', result.statusCode)
+        return new HttpStatusError(result.statusCode)
+      }
+    }
+    catch(error) {
+      DOCKER_API('Image Delete Unknown Error, error: ', error)
+      return error
+    }
+  }
 }
 
 const dockerAPI = new DockerAPI()
@@ -131,10 +193,16 @@ const containerStart = async (id) => dockerAPI.containerStart(id)
 const containerStop = async (id) => dockerAPI.containerStop(id)
 const containerCreate = async (option) => dockerAPI.containerCreate(option)
 const containerDelete = async (id) => dockerAPI.containerDelete(id)  
+const containerInspect = async (id) => dockerAPI.containerInspect(id)
+const imageTag = async (image, repo, tag) => dockerAPI.imageTag(image, repo, tag)
+const imageDelete = async (image) => dockerAPI.imageDelete(image)
 
 export { 
   containerStart, 
   containerStop,
   containerCreate,
   containerDelete,
+  containerInspect,
+  imageTag,
+  imageDelete,
 }
\ No newline at end of file
@@ -1,10 +1,9 @@
 import events from 'events'
-import request from 'superagent'
 import Debug from 'debug'
 const DOCKER_EVENTS = Debug('APPIFI:DOCKER_EVENTS')
 
 import dockerAgent from './dockerAgent'
-import DefaultParam from '../../lib/defaultParam'
+import transport from './dockerTransport'
 
 /*
 * agent or null
@@ -30,10 +29,6 @@ class DockerEvents extends events {
   constructor(agent, interval) {
     super()
 
-    let getDockerURL = new DefaultParam().getDockerURL()
-    this.dockerURL = `${getDockerURL.protocol}://${getDockerURL.ip}:${getDockerURL.port}`
-    DOCKER_EVENTS('Docker URL: ', this.dockerURL)
-
     if (!interval) {
       interval = 300
     }
@@ -70,8 +65,7 @@ class DockerEvents extends events {
 
   async _dockerAPIGet(url) {
     try {
-      let result = await request.get(this.dockerURL + url)
-                                .set('Accept', 'application/json')
+      let result = await transport.request('GET', url)
 
       DOCKER_EVENTS('Docker API Get Success: ', result.statusCode)
       return result.body
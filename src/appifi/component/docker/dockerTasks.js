@@ -1,16 +1,25 @@
+import path from 'path'
 import EventEmitter from 'events'
-import deepmerge from 'deepmerge'
 import UUID from 'node-uuid'
 
 import Debug from 'debug'
 const DOCKER_TASKS = Debug('APPIFI:DOCKER_TASKS')
 
-import pullImage from './pullImage'
-import { containerCreate, containerStart } from './dockerApi'
-import DefaultParam from '../../lib/defaultParam'
-let containerDefaultOpts = new DefaultParam().getContainerDefault()
-
-import { calcRecipeKeyString, installAppifiLabel } from '../../lib/utility'
+import pullScheduler from './pullScheduler'
+import { fs, rimrafAsync, mkdirpAsync } from '../../../common/async'
+import { 
+  containerCreate, 
+  containerStart, 
+  containerStop, 
+  containerDelete, 
+  containerInspect,
+  imageTag,
+  imageDelete 
+} from './dockerApi'
+import { calcRecipeKeyString, installAppifiLabel, containerMatchComponent } from '../../lib/utility'
+import { applyParameters, maskParameterValues, secretParameterValues } from '../../lib/parameters'
+import secrets from '../../lib/secrets'
+import { containerCreateBody } from './containerBody'
 
 class Task extends EventEmitter {
 
@@ -22,6 +31,11 @@ class Task extends EventEmitter {
     this.status = 'started'
     this.errno = 0
     this.message = null
+    this.startedAt = new Date().getTime()
+    this.endedAt = null
+
+    // registered first, set before store is notified
+    this.once('end', () => this.endedAt = new Date().getTime())
    
     /** must implement getState() **/
   }
@@ -38,122 +52,201 @@ class Task extends EventEmitter {
       status: this.status,
       errno: this.errno,
       message: this.message,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt
     }, this.getState())
     
   }
 }
 
+// layer statuses after download, layer size is known from last Downloading message if any
+const layerDownloaded = ['Download complete', 'Verifying Checksum', 'Extracting', 'Pull complete', 'Already exists']
+
+// seconds of samples for throughput
+const speedWindow = 10
+
+/*
+ * aggregate progress of image pulls (or a single one), unknown sizes of layers not yet 
+ * downloading are estimated by the average known one. speed in bytes per second, eta in 
+ * seconds, null if unknown
+ */
+const aggregateProgress = (progresses) => {
+
+  let current = progresses.reduce((sum, p) => sum + p.current, 0)
+  let total = progresses.reduce((sum, p) => sum + p.total, 0)
+  let speed = progresses.reduce((sum, p) => sum + (p.speed || 0), 0)
+  let done = progresses.every(p => p.percent === 100)
+
+  return {
+    current,
+    total,
+    percent: done ? 100 : (total ? Math.min(99, Math.floor(current * 100 / total)) : 0),
+    speed,
+    eta: done ? 0 : (speed > 0 ? Math.ceil((total - current) / speed) : null)
+  }
+}
+
+/*
+ * pull is scheduled, status is queued until the (possibly shared) pull starts
+ */
 class ImageCreateTask extends Task {
 
   constructor(name, tag, parent) {
 
     super('imageCreate', `${name}:${tag}`, parent)
     DOCKER_TASKS(`imageCreate ${name}:${tag}`)
+    this.status = 'queued'
     this.data = null
 
-    pullImage(name, tag, (e, agent) => {
+    // layer id -> { size, current, done }, sizes are kept after layer download completes
+    this.layers = new Map()
+    // [{ time, current }] within speedWindow
+    this.samples = []
+
+    pullScheduler.enqueue(this, name, tag)
+  }
 
-      if (e) {
-        this.status = 'stopped'
-        this.errno = e.errno
-        this.message = e.message
-        
-        DOCKER_TASKS(`PullImage ${name}:${tag} failed (errno: ${e.errno}): ${e.message}`)
-        this.emit('end')
+  pullStarted() {
+    this.status = 'started'
+    this.emit('update')
+  }
+
+  pullUpdate(state) {
+    this.data = state
+
+    let threads = state.threads || []
+    threads.forEach(t => {
+      let layer = this.layers.get(t.id) || { size: null, current: 0, done: false }
+      if (t.status === 'Downloading' && t.progressDetail && t.progressDetail.total) {
+        layer.size = t.progressDetail.total
+        layer.current = t.progressDetail.current || 0
       }
-      else {
-        this.agent = agent
-        agent.on('update', state => {
-          this.data = state
-          this.emit('update')
-        })
-
-        agent.on('close', () => {
-          if (this.aborting === true) {
-            this.errno = 'ECONNABORTED'
-          }
-          else {
-            this.errno = 0
-          }
-          this.status = 'stopped'
-          this.agent = null
-          this.emit('end')
-        })
-      }
-    })  
+      else if (layerDownloaded.indexOf(t.status) !== -1) {
+        layer.done = true
+        if (t.status === 'Already exists') layer.size = 0
+        layer.current = layer.size || 0
+      }
+      this.layers.set(t.id, layer)
+    })
+
+    let now = new Date().getTime()
+    this.samples = [...this.samples, { time: now, current: this.current() }]
+      .filter(s => now - s.time <= speedWindow * 1000)
+
+    this.emit('update')
+  }
+
+  current() {
+    return [...this.layers.values()].reduce((sum, l) => sum + l.current, 0)
+  }
+
+  progress() {
+
+    let layers = [...this.layers.values()]
+    let known = layers.filter(l => l.size !== null && l.size > 0)
+    let unknown = layers.filter(l => l.size === null && !l.done).length
+    let knownTotal = known.reduce((sum, l) => sum + l.size, 0)
+    let total = knownTotal + (known.length ? Math.round(unknown * knownTotal / known.length) : 0)
+    let current = this.current()
+
+    let speed = null
+    if (this.status === 'started' && this.samples.length > 1) {
+      let first = this.samples[0], last = this.samples[this.samples.length - 1]
+      if (last.time > first.time) 
+        speed = Math.round((last.current - first.current) * 1000 / (last.time - first.time))
+    }
+
+    let done = this.status === 'stopped' && this.errno === 0
+    return {
+      current,
+      total,
+      percent: done ? 100 : (total ? Math.min(99, Math.floor(current * 100 / total)) : 0),
+      layers: layers.length,
+      doneLayers: layers.filter(l => l.done).length,
+      speed,
+      eta: done ? 0 : (speed > 0 ? Math.ceil((total - current) / speed) : null)
+    }
+  }
+
+  pullEnd(errno, message) {
+
+    if (this.status === 'stopped') return
+    if (errno) DOCKER_TASKS(`PullImage ${this.id} failed (errno: ${errno}): ${message}`)
+
+    this.status = 'stopped'
+    this.errno = errno
+    this.message = message
+    this.emit('end')
   }
 
   getState() {
-    return this.data
+    let position = this.status === 'queued' ? pullScheduler.position(this) : 0
+    return Object.assign({}, this.data, { position, progress: this.progress() })
   }
 
   abort() {
-    if (this.agent && this.status === 'started') {
-      this.aborting = true
-      this.agent.abort()
-    }
+    if (this.status === 'stopped') return
+    pullScheduler.cancel(this)
   } 
 }
 
+// error in install stage (pull, create, start) of component
+const stageError = (stage, compo, e) => {
+  let err = e instanceof Error ? e : new Error(e && e.message ? e.message : `${stage} failed`)
+  err.stage = stage
+  err.component = compo.name
+  return err
+}
+
+/*
+ * install is a transaction, on any failure, containers created are removed, so are
+ * empty appdata dirs, and images freshly pulled if rollbackImages. failure records
+ * what failed and how it was rolled back
+ *
+ * failure: {
+ *   stage,         // pull, create or start
+ *   component,     // component name
+ *   errno,
+ *   message,
+ *   rollback: { containers, images, dirs, errors }
+ * }
+ */
 class AppInstallTask extends Task {
 
-  constructor(recipe, appdataDir) {
+  /*
+   * values are resolved parameter values, ports are allocated host port mappings,
+   * options.freshImages are name:tag not present before install, options.autoAssignPorts
+   * is kept for retry
+   */
+  constructor(recipe, appdataDir, values = {}, ports = [], options = {}) {
 
     DOCKER_TASKS(`AppInstall ${recipe.appname}`)
     super('appInstall', `${recipe.appname}`, null)
 
     this.recipe = recipe
+    this.values = values
+    this.ports = ports
     this.appdataDir = appdataDir
+    this.freshImages = options.freshImages || []
+    this.rollbackImages = options.rollbackImages === true
+    this.autoAssignPorts = options.autoAssignPorts !== false
+    this.cancelled = false
+    this.failure = null
     this.id = calcRecipeKeyString(recipe)
     this.uuid = UUID.v4()
-    this.jobs = recipe.components.map(compo => {
+
+    // components with placeholders substituted, label keeps the unresolved recipe
+    let resolved = applyParameters(recipe, values)
+    this.jobs = resolved.components.map(compo => {
       
       let image = new ImageCreateTask(`${compo.namespace}/${compo.name}`, compo.tag, this)
-      image.on('update', () => this.emit('update', this))
+      image.on('update', () => {
+        if (this.status === 'queued' && image.status === 'started') this.status = 'started'
+        this.emit('update', this)
+      })
       image.on('end', () => {
-        
-        if (!this.jobs.every(job => {
-        /*
-          console.log('>>>>')
-          console.log(job)
-          console.log(job.image)
-          console.log(job.image.getState())
-          console.log('<<<<')
-        */
-          if (job.image.getState() === null) return false
-          return job.image.getState().digest && job.image.getState().status ? true : false
-        } )) {
-          this.errno = -1
-          this.message = 'pullImage failed'
-          this.status = 'stopped'
-          DOCKER_TASKS(`AppInstall ${this.recipe.appname} failed, pullImage failed`)
-           
-          return
-        }
-
-        this.createAndStartContainers()
-          .then(e => {
-            if (e) {
-              this.errno = e.errno
-              this.message = e.message
-              console.error(e)
-              DOCKER_TASKS(`AppInstall ${this.recipe.appname} failed`)
-            }
-            else {
-              this.errno = 0
-              this.message = null
-              DOCKER_TASKS(`AppInstall ${this.recipe.appname} success`)
-            }
-            this.status = 'stopped'
-            this.emit('end', this)
-          })
-          .catch(e => {
-            this.errno = e.errno
-            this.message = e.message
-            this.status = 'stopped'
-            DOCKER_TASKS(`AppInstall ${this.recipe.appname} failed (${e.errno}), ${e.message}`)
-            this.emit('end', this) 
-          })
+        // wait for all pulls
+        if (this.jobs.every(job => job.image.status === 'stopped')) this.run()
       })
 
       return {
@@ -162,43 +255,87 @@ class AppInstallTask extends Task {
         container: null
       }
     })
+
+    // queued until any of its pulls starts, shared pulls may have been started already
+    if (this.jobs.every(job => job.image.status === 'queued')) this.status = 'queued'
+  }
+
+  async run() {
+
+    try {
+      await this.createAndStartContainers()
+      this.errno = 0
+      this.message = null
+      DOCKER_TASKS(`AppInstall ${this.recipe.appname} success`)
+    }
+    catch (e) {
+      this.errno = e.errno || -1
+      this.message = `${e.stage || 'install'} ${e.component || ''} failed: ${e.message}`
+      DOCKER_TASKS(`AppInstall ${this.recipe.appname} ${this.message}, rolling back`)
+
+      let rollback = await this.rollback()
+      this.failure = {
+        stage: e.stage || null,
+        component: e.component || null,
+        errno: this.errno,
+        message: e.message,
+        rollback
+      }
+    }
+
+    this.status = 'stopped'
+    this.emit('end', this)
   }
 
-  processBinds(recipeKeyString, opt) {
+  pulled(job) {
+    let state = job.image.getState()
+    return job.image.errno === 0 && state && state.digest && state.status ? true : false
+  }
+
+  // pulls are aborted or dequeued, containers created are removed by rollback. 
+  // return false if already stopped
+  cancel() {
 
-    if (!opt || !opt.HostConfig || !opt.HostConfig.Binds) return opt
+    if (this.status === 'stopped') return false
 
-    let subpath = recipeKeyString.replace(/:/g, '/') 
-    opt.HostConfig.Binds = opt.HostConfig.Binds.map(bind => (this.appdataDir + '/' + subpath + bind))
-    return opt
+    DOCKER_TASKS(`AppInstall ${this.recipe.appname} cancelling`)
+    this.cancelled = true
+    this.jobs.forEach(job => job.image.abort())
+    return true
   }
 
-  processPortBindings(recipeKeyString, opt) {
-    return opt
+  throwIfCancelled() {
+    if (this.cancelled) throw stageError('cancel', this.jobs[0].compo, { message: 'cancelled' })
   }
 
-  // 
   async createAndStartContainers() {
 
+    this.throwIfCancelled()
+
+    let failed = this.jobs.find(job => !this.pulled(job))
+    if (failed) throw stageError('pull', failed.compo, { message: failed.image.message || 'pullImage failed' })
+
+    // label has them masked
+    await secrets.save(this.uuid, secretParameterValues(this.recipe, this.values))
+
     // in reverse order
     for (var i = this.jobs.length - 1; i >= 0; i--) {
+      this.throwIfCancelled()
+
       let job = this.jobs[i]
-      let opt = deepmerge(containerDefaultOpts, job.compo.config)
-      opt.Image = `${job.compo.namespace}/${job.compo.name}`
-      opt = this.processBinds(this.id, opt)
-      opt = this.processPortBindings(this.id, opt)
+      let opt = containerCreateBody(job.compo, this.appdataDir, this.id, this.ports)
 
-      // opt.Labels['appifi-signature'] = this.id
-      installAppifiLabel(opt.Labels, this.uuid, this.recipe)
+      installAppifiLabel(opt.Labels, this.uuid, this.recipe, this.values, this.ports)
 
       let re = await containerCreate(opt)
-      if (re instanceof Error) {
+      if (re instanceof Error || !re || !re.Id) {
+        let e = stageError('create', job.compo, re)
         job.container = {
-          errno: re.errno,
-          message: re.message,
+          errno: e.errno || -1,
+          message: e.message,
           result: null
         } 
-        return re
+        throw e
       }
       
       job.container = {
@@ -208,9 +345,73 @@ class AppInstallTask extends Task {
       }
     }
 
+    this.throwIfCancelled()
+
     let id = this.jobs[0].container.result.Id
     DOCKER_TASKS(`Starting container ${id}`)
-    return containerStart(this.jobs[0].container.result.Id) 
+    let e = await containerStart(id) 
+    if (e instanceof Error) throw stageError('start', this.jobs[0].compo, e)
+  }
+
+  // never throws, return what is removed and errors
+  async rollback() {
+
+    let removed = { containers: [], images: [], dirs: [], errors: [] }
+
+    for (let job of this.jobs) {
+      if (!job.container || !job.container.result) continue
+      let id = job.container.result.Id
+      let e = await containerDelete(id)
+      if (e instanceof Error) 
+        removed.errors.push(`remove container ${id}: ${e.message}`)
+      else {
+        removed.containers.push(id)
+        job.container = Object.assign({}, job.container, { removed: true })
+      }
+    }
+
+    try {
+      await secrets.remove(this.uuid)
+    }
+    catch (e) {
+      removed.errors.push(`remove secrets: ${e.message}`)
+    }
+
+    if (this.rollbackImages) {
+      for (let job of this.jobs) {
+        let image = `${job.compo.namespace}/${job.compo.name}:${job.compo.tag}`
+        if (this.freshImages.indexOf(image) === -1 || !this.pulled(job)) continue
+        let e = await imageDelete(image)
+        if (e instanceof Error)
+          removed.errors.push(`remove image ${image}: ${e.message}`)
+        else
+          removed.images.push(image)
+      }
+    }
+
+    // bind dirs created by docker, removed up to app dir if empty
+    let appDir = path.join(this.appdataDir, this.id.replace(/:/g, '/'))
+    let dirs = this.jobs.reduce((acc, job) => {
+      let opt = containerCreateBody(job.compo, this.appdataDir, this.id, this.ports)
+      return [...acc, ...(opt.HostConfig.Binds || []).map(bind => bind.split(':')[0])]
+    }, [])
+
+    for (let dir of dirs) {
+      for (let d = dir; d.startsWith(appDir); d = path.dirname(d)) {
+        try {
+          await fs.rmdirAsync(d)
+          removed.dirs.push(d)
+        }
+        catch (e) {
+          // not empty or not exist
+          if (e.code !== 'ENOENT') break
+        }
+      }
+    }
+
+    DOCKER_TASKS(`AppInstall ${this.recipe.appname} rolled back, ${removed.containers.length} containers, ` +
+      `${removed.images.length} images, ${removed.dirs.length} dirs, ${removed.errors.length} errors`)
+    return removed
   }
 
   getState() {
@@ -225,10 +426,383 @@ class AppInstallTask extends Task {
     return {
       uuid: this.uuid,
       recipe: this.recipe,
+      values: maskParameterValues(this.recipe, this.values),
+      ports: this.ports,
+      progress: aggregateProgress(this.jobs.map(job => job.image.progress())),
+      failure: this.failure,
       jobs
     } 
   }
 }
 
-export { AppInstallTask }
+/*
+ * uninstall an installed app, containers are stopped and removed one by one. app data 
+ * (bind dirs under appdata) and images are kept unless deleteData, deleteImages. Images
+ * used by other containers are always kept.
+ *
+ * each container goes through pending -> stopping -> deleting -> deleted, or error
+ */
+class AppUninstallTask extends Task {
+
+  constructor(installed, appdataDir, options = {}) {
+
+    DOCKER_TASKS(`AppUninstall ${installed.recipe.appname}`)
+    super('appUninstall', installed.uuid, null)
+
+    this.recipe = installed.recipe
+    this.recipeKeyString = installed.recipeKeyString
+    this.uuid = installed.uuid
+    this.appdataDir = appdataDir
+    this.deleteData = options.deleteData === true
+    this.deleteImages = options.deleteImages === true
+
+    this.containers = installed.containers.map(c => ({ 
+      id: c.Id, 
+      image: c.Image, 
+      state: 'pending', 
+      message: null 
+    }))
+    this.data = { path: path.join(appdataDir, this.recipeKeyString.replace(/:/g, '/')), state: 'kept' }
+    this.images = this.recipe.components.map(compo => ({
+      name: `${compo.namespace}/${compo.name}:${compo.tag}`,
+      state: 'kept',
+      message: null
+    }))
+  }
+
+  update(props, target) {
+    Object.assign(target, props)
+    this.emit('update', this)
+  }
+
+  // started by caller, after the task is added to store
+  async run() {
+
+    let errors = []
+
+    for (let c of this.containers) {
+
+      // stop failure is not fatal, force deleting follows
+      this.update({ state: 'stopping' }, c)
+      await containerStop(c.id)
+
+      this.update({ state: 'deleting' }, c)
+      let e = await containerDelete(c.id)
+      // 404, already gone
+      if (e instanceof Error && (e.status === 404 || e.statusCode === 404))
+        this.update({ state: 'deleted', message: 'not found' }, c)
+      else if (e instanceof Error) {
+        this.update({ state: 'error', message: e.message }, c)
+        errors.push(`delete container ${c.id}: ${e.message}`)
+      }
+      else 
+        this.update({ state: 'deleted' }, c)
+    }
+
+    if (errors.length === 0) {
+      try {
+        await secrets.remove(this.uuid)
+      }
+      catch (e) {
+        errors.push(`delete secrets: ${e.message}`)
+      }
+    }
+
+    // data and images are touched only if all containers removed
+    if (errors.length === 0 && this.deleteData) {
+      try {
+        this.update({ state: 'deleting' }, this.data)
+        await rimrafAsync(this.data.path)
+        this.update({ state: 'deleted' }, this.data)
+      }
+      catch (e) {
+        this.update({ state: 'error', message: e.message }, this.data)
+        errors.push(`delete app data: ${e.message}`)
+      }
+    }
+
+    if (errors.length === 0 && this.deleteImages) {
+      for (let image of this.images) {
+        let e = await imageDelete(image.name)
+        // 409, used by other containers
+        if (e instanceof Error && (e.status === 409 || e.statusCode === 409))
+          this.update({ state: 'kept', message: 'in use' }, image)
+        else if (e instanceof Error) {
+          this.update({ state: 'error', message: e.message }, image)
+          errors.push(`delete image ${image.name}: ${e.message}`)
+        }
+        else
+          this.update({ state: 'deleted' }, image)
+      }
+    }
+
+    if (errors.length) {
+      this.errno = -1
+      this.message = errors.join('; ')
+      DOCKER_TASKS(`AppUninstall ${this.recipe.appname} failed, ${this.message}`)
+    }
+    else 
+      DOCKER_TASKS(`AppUninstall ${this.recipe.appname} success`)
+
+    this.status = 'stopped'
+    this.emit('end', this)
+  }
+
+  getState() {
+    return {
+      uuid: this.uuid,
+      recipe: this.recipe,
+      recipeKeyString: this.recipeKeyString,
+      deleteData: this.deleteData,
+      deleteImages: this.deleteImages,
+      containers: this.containers,
+      data: this.data,
+      images: this.images
+    }
+  }
+}
+
+// seconds new containers must keep running to be considered up
+const upgradeSettleTime = 5
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const appDataPath = (appdataDir, recipeKeyString) => 
+  path.join(appdataDir, recipeKeyString.replace(/:/g, '/'))
+
+/*
+ * upgrade an installed app to recipe (same app, tag may differ), keeping uuid, 
+ * parameter values and app data. New images are pulled first, then old containers
+ * are replaced. If new containers fail to come up, they are removed and previous
+ * ones are recreated from previous image ids, re-tagged.
+ *
+ * app data dir follows recipe key string, it is moved if tag changes.
+ *
+ * stage: pulling -> replacing -> starting -> verifying -> done, or rollingBack -> rolledBack
+ */
+class AppUpgradeTask extends Task {
+
+  // values are resolved against recipe, ports allocated for it
+  constructor(installed, recipe, appdataDir, values = {}, ports = []) {
+
+    DOCKER_TASKS(`AppUpgrade ${installed.recipe.appname}`)
+    super('appUpgrade', installed.uuid, null)
+
+    this.uuid = installed.uuid
+    this.recipe = recipe
+    this.recipeKeyString = calcRecipeKeyString(recipe)
+    this.values = values
+    this.ports = ports
+    this.appdataDir = appdataDir
+    this.stage = 'pulling'
+    this.failure = null
+    this.created = []
+
+    // previous image id of each component, from containers
+    this.previous = {
+      recipe: installed.recipe,
+      recipeKeyString: installed.recipeKeyString,
+      values: installed.values,
+      ports: installed.ports,
+      containers: installed.containers.map(c => c.Id),
+      images: installed.recipe.components.map(compo => {
+        let container = installed.containers.find(c => containerMatchComponent(c, compo))
+        return { 
+          repo: `${compo.namespace}/${compo.name}`, 
+          tag: compo.tag, 
+          id: container ? container.ImageID : null 
+        }
+      })
+    }
+
+    let resolved = applyParameters(recipe, values)
+    this.jobs = resolved.components.map(compo => {
+
+      let image = new ImageCreateTask(`${compo.namespace}/${compo.name}`, compo.tag, this)
+      image.on('update', () => this.emit('update', this))
+      image.on('end', () => {
+        if (this.jobs.every(job => job.image.status === 'stopped')) this.run()
+      })
+
+      return { compo, image }
+    })
+  }
+
+  setStage(stage) {
+    DOCKER_TASKS(`AppUpgrade ${this.recipe.appname} ${stage}`)
+    this.stage = stage
+    this.emit('update', this)
+  }
+
+  pulled(job) {
+    let state = job.image.getState()
+    return job.image.errno === 0 && state && state.digest && state.status ? true : false
+  }
+
+  async run() {
+
+    let replaced = false
+
+    try {
+      let failed = this.jobs.find(job => !this.pulled(job))
+      if (failed) throw stageError('pull', failed.compo, { message: failed.image.message || 'pullImage failed' })
+
+      let target = appDataPath(this.appdataDir, this.recipeKeyString)
+      if (this.recipeKeyString !== this.previous.recipeKeyString && 
+        await fs.statAsync(target).then(() => true, () => false))
+        throw stageError('replace', this.recipe.components[0], { message: `app data ${target} already exists` })
+
+      this.setStage('replacing')
+      replaced = true
+      await this.removeContainers(this.previous.containers)
+      await this.moveData(this.previous.recipeKeyString, this.recipeKeyString)
+
+      this.setStage('starting')
+      let resolved = applyParameters(this.recipe, this.values)
+      await this.createAndStart(resolved.components, this.recipe, this.recipeKeyString, this.values, this.ports)
+
+      this.setStage('verifying')
+      await this.verify()
+
+      this.errno = 0
+      this.message = null
+      this.setStage('done')
+    }
+    catch (e) {
+      this.errno = e.errno || -1
+      this.message = `${e.stage || 'upgrade'} ${e.component || ''} failed: ${e.message}`
+      this.failure = { stage: e.stage || null, component: e.component || null, errno: this.errno, message: e.message }
+      DOCKER_TASKS(`AppUpgrade ${this.recipe.appname} ${this.message}`)
+
+      // nothing changed before replacing
+      if (replaced) {
+        this.setStage('rollingBack')
+        this.failure.rollback = await this.rollback()
+        this.setStage('rolledBack')
+      }
+    }
+
+    this.status = 'stopped'
+    this.emit('end', this)
+  }
+
+  // throws if any container not removed
+  async removeContainers(ids) {
+    for (let id of ids) {
+      // stop failure is not fatal, force deleting follows
+      await containerStop(id)
+      let e = await containerDelete(id)
+      if (e instanceof Error) throw stageError('replace', { name: id }, e)
+    }
+  }
+
+  async moveData(fromKey, toKey) {
+
+    if (fromKey === toKey) return
+
+    let from = appDataPath(this.appdataDir, fromKey)
+    let to = appDataPath(this.appdataDir, toKey)
+    if (!await fs.statAsync(from).then(() => true, () => false)) return
+
+    await mkdirpAsync(path.dirname(to))
+    await fs.renameAsync(from, to)
+  }
+
+  // components resolved, created containers are recorded for rollback
+  async createAndStart(components, recipe, recipeKeyString, values, ports) {
+
+    let ids = []
+    await secrets.save(this.uuid, secretParameterValues(recipe, values))
+
+    // in reverse order, the first is main container
+    for (let i = components.length - 1; i >= 0; i--) {
+
+      let compo = components[i]
+      let opt = containerCreateBody(compo, this.appdataDir, recipeKeyString, ports)
+      installAppifiLabel(opt.Labels, this.uuid, recipe, values, ports)
+
+      let re = await containerCreate(opt)
+      if (re instanceof Error || !re || !re.Id) throw stageError('create', compo, re)
+      this.created.push(re.Id)
+      ids.unshift(re.Id)
+    }
+
+    let e = await containerStart(ids[0])
+    if (e instanceof Error) throw stageError('start', components[0], e)
+    this.main = ids[0]
+  }
+
+  // main container must be running after settle time
+  async verify() {
+
+    await delay(upgradeSettleTime * 1000)
+
+    let info = await containerInspect(this.main)
+    if (info instanceof Error) throw stageError('verify', this.recipe.components[0], info)
+    if (!info.State || !info.State.Running || info.State.Restarting)
+      throw stageError('verify', this.recipe.components[0], { 
+        message: `container not running, exit code ${info.State ? info.State.ExitCode : 'unknown'}` + 
+          (info.State && info.State.Error ? `, ${info.State.Error}` : '')
+      })
+  }
+
+  // never throws, return what is done and errors
+  async rollback() {
+
+    let result = { removed: [], images: [], created: [], errors: [] }
+
+    for (let id of this.created) {
+      let e = await containerDelete(id)
+      if (e instanceof Error) result.errors.push(`remove container ${id}: ${e.message}`)
+      else result.removed.push(id)
+    }
+    this.created = []
+
+    try {
+      await this.moveData(this.recipeKeyString, this.previous.recipeKeyString)
+    }
+    catch (e) {
+      result.errors.push(`move app data back: ${e.message}`)
+    }
+
+    // tags may have been moved to new images
+    for (let image of this.previous.images) {
+      if (!image.id) continue
+      let e = await imageTag(image.id, image.repo, image.tag)
+      if (e instanceof Error) result.errors.push(`tag ${image.id} as ${image.repo}:${image.tag}: ${e.message}`)
+      else result.images.push(`${image.repo}:${image.tag}`)
+    }
+
+    try {
+      let { recipe, recipeKeyString, values, ports } = this.previous
+      let resolved = applyParameters(recipe, values)
+      await this.createAndStart(resolved.components, recipe, recipeKeyString, values, ports)
+      result.created = this.created
+    }
+    catch (e) {
+      result.errors.push(`recreate previous containers: ${e.message}`)
+    }
+
+    DOCKER_TASKS(`AppUpgrade ${this.recipe.appname} rolled back, ${result.errors.length} errors`)
+    return result
+  }
+
+  getState() {
+
+    return {
+      uuid: this.uuid,
+      recipe: this.recipe,
+      recipeKeyString: this.recipeKeyString,
+      from: this.previous.recipeKeyString,
+      values: maskParameterValues(this.recipe, this.values),
+      ports: this.ports,
+      stage: this.stage,
+      progress: aggregateProgress(this.jobs.map(job => job.image.progress())),
+      failure: this.failure,
+      jobs: this.jobs.map(job => ({ image: job.image.facade() }))
+    }
+  }
+}
+
+export { AppInstallTask, AppUninstallTask, AppUpgradeTask }
 
@@ -0,0 +1,180 @@
+import http from 'http'
+import https from 'https'
+
+import Debug from 'debug'
+const DOCKER_TRANSPORT = Debug('APPIFI:DOCKER_TRANSPORT')
+
+import fs from 'fs'
+
+// private daemon
+const defaultEndpoint = 'tcp://127.0.0.1:1688'
+
+// seconds without response before a request is aborted, container stop takes up to 10s
+const requestTimeout = 30
+
+// engine api versions spoken, docker 1.12 up to 17.04 installed by firstDeployEnv.sh
+const minAPIVersion = '1.24'
+const maxAPIVersion = '1.28'
+
+// compare api versions such as 1.24, negative, zero or positive
+const compareVersion = (a, b) => {
+  let [amaj, amin] = a.split('.').map(x => parseInt(x, 10))
+  let [bmaj, bmin] = b.split('.').map(x => parseInt(x, 10))
+  return amaj !== bmaj ? amaj - bmaj : amin - bmin
+}
+
+/*
+ * unix:///path/to/socket or tcp://host:port, to { socketPath } or { host, port },
+ * null if invalid
+ */
+const parseEndpoint = (endpoint) => {
+
+  if (typeof endpoint !== 'string') return null
+
+  let m = /^unix:\/\/(\/.+)$/.exec(endpoint)
+  if (m) return { socketPath: m[1] }
+
+  m = /^tcp:\/\/([A-Za-z0-9.-]+):(\d{1,5})$/.exec(endpoint)
+  if (!m || parseInt(m[2], 10) > 65535) return null
+  return { host: m[1], port: parseInt(m[2], 10) }
+}
+
+/*
+ * the one way to talk to docker daemon, for request/response calls (request) and
+ * streaming ones (requestOptions + module, see dockerAgent). Configured once the
+ * daemon endpoint is known, private daemon by default.
+ *
+ * tls: null or { ca, cert, key }, file paths of PEMs. Client certificate is presented
+ * and daemon certificate verified against ca. Only applies to tcp endpoints.
+ *
+ * version: negotiated api version, all paths are prefixed with /vX.YY once set
+ */
+class DockerTransport {
+
+  constructor() {
+    this.endpoint = defaultEndpoint
+    this.target = parseEndpoint(defaultEndpoint)
+    this.tls = null
+    this.version = null
+  }
+
+  // throws if endpoint invalid or tls files not readable
+  configure(endpoint, tls = null) {
+
+    let target = parseEndpoint(endpoint)
+    if (!target) throw new Error(`invalid docker endpoint ${endpoint}`)
+
+    this.tls = (tls && !target.socketPath) ? {
+      ca: fs.readFileSync(tls.ca),
+      cert: fs.readFileSync(tls.cert),
+      key: fs.readFileSync(tls.key)
+    } : null
+
+    this.endpoint = endpoint
+    this.target = target
+    this.version = null
+    DOCKER_TRANSPORT(`docker endpoint ${endpoint}${this.tls ? ' (tls)' : ''}`)
+  }
+
+  // http or https
+  module() {
+    return this.tls ? https : http
+  }
+
+  /*
+   * pick highest api version spoken by both, on each attach since daemon may have been
+   * upgraded. Throws EUNSUPPORTED if daemon too old (or too new)
+   */
+  async negotiate() {
+
+    this.version = null
+    let v = (await this.request('GET', '/version')).body
+
+    const unsupported = (message) => Object.assign(new Error(message), { code: 'EUNSUPPORTED' })
+
+    if (typeof v.ApiVersion !== 'string')
+      throw unsupported('docker daemon reports no api version')
+
+    if (compareVersion(v.ApiVersion, minAPIVersion) < 0)
+      throw unsupported(`docker ${v.Version} (api ${v.ApiVersion}) is older than minimum api ${minAPIVersion}`)
+
+    // MinAPIVersion since api 1.25
+    if (v.MinAPIVersion && compareVersion(v.MinAPIVersion, maxAPIVersion) > 0)
+      throw unsupported(`docker ${v.Version} (min api ${v.MinAPIVersion}) no longer supports api ${maxAPIVersion}`)
+
+    this.version = compareVersion(v.ApiVersion, maxAPIVersion) < 0 ? v.ApiVersion : maxAPIVersion
+    DOCKER_TRANSPORT(`docker ${v.Version}, api ${v.ApiVersion}, negotiated ${this.version}`)
+    return this.version
+  }
+
+  requestOptions(method, path, headers = {}) {
+
+    if (this.version) path = `/v${this.version}${path}`
+
+    let options = Object.assign({ method, path, headers }, this.target.socketPath
+      ? { socketPath: this.target.socketPath }
+      : { hostname: this.target.host, port: this.target.port })
+
+    if (this.tls) Object.assign(options, this.tls, { rejectUnauthorized: true })
+    return options
+  }
+
+  /*
+   * resolve { status, statusCode, headers, body, text }, body parsed if json. Rejects
+   * with error having status and response for 4xx/5xx, like superagent does, or
+   * ETIMEDOUT if daemon does not respond within timeout seconds
+   */
+  request(method, path, body, timeout = requestTimeout) {
+
+    return new Promise((resolve, reject) => {
+
+      let headers = { 'Accept': 'application/json' }
+      let data = null
+      if (body !== undefined) {
+        data = JSON.stringify(body)
+        headers['Content-Type'] = 'application/json'
+        headers['Content-Length'] = Buffer.byteLength(data)
+      }
+
+      let req = this.module().request(this.requestOptions(method, path, headers), res => {
+
+        let chunks = []
+        res.on('data', chunk => chunks.push(chunk))
+        res.on('end', () => {
+
+          let text = Buffer.concat(chunks).toString()
+          let parsed = text
+          if (/json/.test(res.headers['content-type'] || '')) {
+            try {
+              parsed = JSON.parse(text)
+            }
+            catch (e) {}
+          }
+
+          let response = { status: res.statusCode, statusCode: res.statusCode, headers: res.headers, body: parsed, text }
+          if (res.statusCode < 400) return resolve(response)
+
+          let err = new Error((parsed && parsed.message) || text.trim() || `${method} ${path} failed`)
+          err.status = res.statusCode
+          err.response = response
+          reject(err)
+        })
+        res.on('error', reject)
+      })
+
+      req.setTimeout(timeout * 1000, () => {
+        let err = new Error(`${method} ${path} timed out after ${timeout} seconds`)
+        err.code = 'ETIMEDOUT'
+        reject(err)
+        req.abort()
+      })
+
+      req.on('error', reject)
+      if (data !== null) req.write(data)
+      req.end()
+    })
+  }
+}
+
+export { parseEndpoint, minAPIVersion, maxAPIVersion }
+export default new DockerTransport()
@@ -0,0 +1,148 @@
+import net from 'net'
+import dgram from 'dgram'
+
+import Debug from 'debug'
+const PORTS = Debug('APPIFI:DOCKER:PORTS')
+
+import { HttpStatusError } from '../../lib/error'
+
+/*
+ * host port allocation for app install
+ *
+ * a port mapping is recorded in container label as
+ * {
+ *   component,       // component name
+ *   containerPort,   // e.g. 80/tcp
+ *   requested,       // HostPort in (resolved) recipe, or empty string
+ *   hostPort         // allocated, string as in docker PortBindings
+ * }
+ */
+
+// APPIFI_PORT_POOL, e.g. 20000-20999
+const portPool = () => {
+
+  let text = process.env.APPIFI_PORT_POOL || '20000-20999'
+  let [from, to] = text.split('-').map(x => parseInt(x, 10))
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to > 65535 || from > to) {
+    PORTS(`bad port pool ${text}, using default`)
+    return { from: 20000, to: 20999 }
+  }
+  return { from, to }
+}
+
+// test if port can be bound on host, catches non-docker processes
+const hostPortFree = (port, protocol) => new Promise(resolve => {
+
+  if (protocol === 'udp') {
+    let socket = dgram.createSocket('udp4')
+    socket.once('error', () => resolve(false))
+    socket.bind(port, () => socket.close(() => resolve(true)))
+  }
+  else {
+    let server = net.createServer()
+    server.once('error', () => resolve(false))
+    server.listen(port, () => server.close(() => resolve(true)))
+  }
+})
+
+/*
+ * ports taken by containers (published), installed apps (recorded, including
+ * stopped ones) and running install tasks, as a Set of 'port/protocol'
+ */
+const usedHostPorts = (containers = [], installeds = [], tasks = []) => {
+
+  let used = new Set()
+  containers.forEach(c => (c.Ports || [])
+    .filter(p => p.PublicPort !== undefined)
+    .forEach(p => used.add(`${p.PublicPort}/${p.Type}`)))
+
+  let recorded = [
+    ...installeds.map(inst => inst.ports || []), 
+    ...tasks.filter(t => t.status !== 'stopped').map(t => t.ports || [])
+  ]
+
+  recorded.forEach(ports => ports.forEach(m => 
+    used.add(`${m.hostPort}/${m.containerPort.split('/')[1]}`)))
+
+  return used
+}
+
+// owned ports are held by the app itself (upgrade), they are free for it
+const isFree = async (used, port, protocol, owned = new Set()) => 
+  !used.has(`${port}/${protocol}`) && 
+    (owned.has(`${port}/${protocol}`) || await hostPortFree(port, protocol))
+
+const nextFree = async (used, protocol, owned) => {
+
+  let { from, to } = portPool()
+  for (let port = from; port <= to; port++) 
+    if (await isFree(used, port, protocol, owned)) return port
+
+  throw new HttpStatusError(503, `no free ${protocol} port in pool ${from}-${to}`)
+}
+
+/*
+ * allocate host ports for all PortBindings of (resolved) components, requested
+ * ports are kept if free. Conflicting or unspecified ones are assigned from pool
+ * if autoAssign, otherwise conflicts are rejected with 409, offering free ports.
+ * owned is a Set of 'port/protocol' held by the app being upgraded.
+ *
+ * return a list of port mappings
+ */
+const allocatePorts = async (components, used, autoAssign = true, owned = new Set()) => {
+
+  let taken = new Set(used)
+  let mappings = []
+  let conflicts = []
+
+  for (let compo of components) {
+
+    let bindings = (compo.config.HostConfig && compo.config.HostConfig.PortBindings) || {}
+    for (let containerPort of Object.keys(bindings)) {
+
+      let protocol = containerPort.split('/')[1] || 'tcp'
+      for (let binding of bindings[containerPort]) {
+
+        let requested = binding.HostPort || ''
+        let hostPort
+
+        if (requested && await isFree(taken, parseInt(requested, 10), protocol, owned)) 
+          hostPort = requested
+        else {
+          let offer = String(await nextFree(taken, protocol, owned))
+          if (requested && !autoAssign)
+            conflicts.push(`${requested}/${protocol} (try ${offer})`)
+          hostPort = offer
+        }
+
+        taken.add(`${hostPort}/${protocol}`)
+        mappings.push({ component: compo.name, containerPort, requested, hostPort })
+      }
+    }
+  }
+
+  if (conflicts.length) 
+    throw new HttpStatusError(409, `host ports in use: ${conflicts.join(', ')}`)
+
+  mappings
+    .filter(m => m.requested !== m.hostPort)
+    .forEach(m => PORTS(`${m.component} ${m.containerPort} ${m.requested || 'any'} -> ${m.hostPort}`))
+
+  return mappings
+}
+
+// return a new PortBindings of component with allocated host ports
+const applyPortMappings = (compo, portBindings, mappings) => {
+
+  if (!portBindings) return portBindings
+
+  let mine = mappings.filter(m => m.component === compo.name)
+  return Object.keys(portBindings).reduce((acc, containerPort) => {
+    let hostPorts = mine.filter(m => m.containerPort === containerPort)
+    acc[containerPort] = portBindings[containerPort].map((binding, i) => 
+      Object.assign({}, binding, hostPorts[i] ? { HostPort: hostPorts[i].hostPort } : {}))
+    return acc
+  }, {})
+}
+
+export { portPool, hostPortFree, usedHostPorts, allocatePorts, applyPortMappings }
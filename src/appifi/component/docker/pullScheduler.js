@@ -0,0 +1,132 @@
+import Debug from 'debug'
+const PULL_SCHEDULER = Debug('APPIFI:PULL_SCHEDULER')
+
+import pullImage from './pullImage'
+
+// max concurrent image pulls, APPIFI_MAX_PULLS, default 2
+const maxPulls = () => {
+  let max = parseInt(process.env.APPIFI_MAX_PULLS, 10)
+  return Number.isInteger(max) && max > 0 ? max : 2
+}
+
+/*
+ * image pulls are queued in request order (first come first served) and at most
+ * maxPulls() run at a time. Tasks requesting the same name:tag share one pull, a
+ * task joining a running pull gets its current state.
+ *
+ * pull: {
+ *   key,          // name:tag
+ *   name, tag,
+ *   status,       // queued or started
+ *   tasks,        // image create tasks waiting for this pull
+ *   agent,        // pullImage agent once connected
+ *   state,        // last pull state
+ *   aborting      // no task left, abort when connected
+ * }
+ *
+ * tasks must implement pullStarted(), pullUpdate(state) and pullEnd(errno, message)
+ */
+class PullScheduler {
+
+  // pull is pullImage, or a stub in tests
+  constructor(pull = pullImage) {
+    this.pull = pull
+    this.pulls = []
+  }
+
+  enqueue(task, name, tag) {
+
+    let key = `${name}:${tag}`
+    let pull = this.pulls.find(p => p.key === key && !p.aborting)
+    if (pull) {
+      PULL_SCHEDULER(`${key} already ${pull.status}, shared`)
+      pull.tasks.push(task)
+      if (pull.status === 'started') {
+        task.pullStarted()
+        if (pull.state) task.pullUpdate(pull.state)
+      }
+      return
+    }
+
+    this.pulls.push({ key, name, tag, status: 'queued', tasks: [task], agent: null, state: null, aborting: false })
+    PULL_SCHEDULER(`${key} queued`)
+    this.schedule()
+  }
+
+  // task leaves its pull, the pull is dropped or aborted if no task left
+  cancel(task) {
+
+    let pull = this.pulls.find(p => p.tasks.indexOf(task) !== -1)
+    if (!pull) return
+
+    pull.tasks = pull.tasks.filter(t => t !== task)
+    task.pullEnd('ECONNABORTED', 'pull cancelled')
+    if (pull.tasks.length) return
+
+    if (pull.status === 'queued') {
+      PULL_SCHEDULER(`${pull.key} dequeued`)
+      this.pulls = this.pulls.filter(p => p !== pull)
+    }
+    else {
+      PULL_SCHEDULER(`${pull.key} aborting`)
+      pull.aborting = true
+      if (pull.agent) pull.agent.abort()
+    }
+  }
+
+  // 1-based position among queued pulls, 0 if started or not found
+  position(task) {
+    let queued = this.pulls.filter(p => p.status === 'queued')
+    return queued.findIndex(p => p.tasks.indexOf(task) !== -1) + 1
+  }
+
+  schedule() {
+
+    let running = this.pulls.filter(p => p.status === 'started').length
+    this.pulls
+      .filter(p => p.status === 'queued')
+      .slice(0, Math.max(0, maxPulls() - running))
+      .forEach(pull => this.start(pull))
+  }
+
+  start(pull) {
+
+    PULL_SCHEDULER(`${pull.key} started`)
+    pull.status = 'started'
+    pull.tasks.forEach(t => t.pullStarted())
+
+    const finish = (errno, message) => {
+      this.pulls = this.pulls.filter(p => p !== pull)
+      pull.tasks.forEach(t => t.pullEnd(errno, message))
+      pull.tasks = []
+      this.schedule()
+    }
+
+    this.pull(pull.name, pull.tag, (e, agent) => {
+
+      if (e) {
+        PULL_SCHEDULER(`${pull.key} failed (errno: ${e.errno}): ${e.message}`)
+        return finish(e.errno, e.message)
+      }
+
+      pull.agent = agent
+
+      // aborted before pull started
+      if (pull.aborting) agent.abort()
+
+      agent.on('update', state => {
+        pull.state = state
+        pull.tasks.forEach(t => t.pullUpdate(state))
+      })
+
+      agent.on('close', () => {
+        PULL_SCHEDULER(`${pull.key} closed`)
+        pull.agent = null
+        finish(pull.aborting ? 'ECONNABORTED' : 0, null)
+      })
+    })
+  }
+}
+
+export { PullScheduler }
+export default new PullScheduler()
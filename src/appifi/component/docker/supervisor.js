@@ -0,0 +1,303 @@
+import fs from 'fs'
+import EventEmitter from 'events'
+
+import respawn from 'respawn'
+import Promise from 'bluebird'
+import Debug from 'debug'
+const SUPERVISOR = Debug('APPIFI:DOCKER:SUPERVISOR')
+
+import { storeDispatch } from '../../lib/reducers'
+
+Promise.promisifyAll(fs)
+
+// APPIFI_DAEMON_LOG_SIZE, in bytes, default 1MB, 3 rotated files are kept
+const logSize = () => {
+  let size = parseInt(process.env.APPIFI_DAEMON_LOG_SIZE, 10)
+  return Number.isInteger(size) && size > 0 ? size : 1024 * 1024
+}
+
+const logKeep = 3
+
+// restart delay after n consecutive crashes, 1s, 2s, 4s ... up to 1 minute
+const backoff = (n) => Math.min(1000 * Math.pow(2, Math.max(0, n - 1)), 60 * 1000)
+
+// seconds a daemon must have been up for its crash not to count as consecutive
+const stableTime = 60
+
+// seconds to wait for daemon being healthy after spawn
+const healthTimeout = 60
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/*
+ * append-only log file, rotated to .1, .2 ... when exceeding maxSize
+ */
+class RotatingLog {
+
+  constructor(filePath, maxSize, keep) {
+    this.filePath = filePath
+    this.maxSize = maxSize
+    this.keep = keep
+    this.stream = null
+    this.size = 0
+  }
+
+  open() {
+    try {
+      this.size = fs.statSync(this.filePath).size
+    }
+    catch (e) {
+      this.size = 0
+    }
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' })
+    this.stream.on('error', e => SUPERVISOR(`log error, ${e.message}`))
+  }
+
+  rotate() {
+
+    this.stream.end()
+    for (let i = this.keep - 1; i > 0; i--) {
+      try {
+        fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`)
+      }
+      catch (e) {
+        if (e.code !== 'ENOENT') SUPERVISOR(`log rotate failed, ${e.message}`)
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`)
+    this.open()
+  }
+
+  write(data) {
+    if (!this.stream) return
+    if (this.size > 0 && this.size + data.length > this.maxSize) this.rotate()
+    this.stream.write(data)
+    this.size += data.length
+  }
+
+  close() {
+    if (this.stream) this.stream.end()
+    this.stream = null
+  }
+
+  // last lines, from previous file if current one is short
+  async tail(lines) {
+
+    const read = async (filePath) => {
+      try {
+        return (await fs.readFileAsync(filePath)).toString()
+      }
+      catch (e) {
+        if (e.code === 'ENOENT') return ''
+        throw e
+      }
+    }
+
+    let text = await read(this.filePath)
+    let result = text.split('\n').filter(l => l.length)
+    if (result.length < lines)
+      result = [...(await read(`${this.filePath}.1`)).split('\n').filter(l => l.length), ...result]
+
+    return result.slice(-lines)
+  }
+}
+
+/*
+ * keeps docker daemon running. The daemon is respawned with backoff when it exits
+ * unexpectedly, stdout and stderr go to a rotating log. 'healthy' is emitted when
+ * health check passes after each spawn, e.g. to re-attach docker events.
+ *
+ * supervising is given up (failed) if the daemon can not be spawned at all (e.g. no
+ * docker binary), or is not healthy within healthTimeout, it is stopped then. 
+ *
+ * store state 'daemon'
+ * {
+ *   status,           // stopped, starting, running, backoff, stopping or failed
+ *   pid,
+ *   healthy,
+ *   crashes,          // unexpected exits since appifi started
+ *   consecutive,      // crashes in a row, reset if daemon was up for stableTime
+ *   backoff,          // ms before next restart
+ *   startedAt,        // last spawn, epoch ms
+ *   lastExit: { code, signal, at },
+ *   failure: { reason, at }   // why failed, null otherwise
+ * }
+ */
+class Supervisor extends EventEmitter {
+
+  constructor(timeout = healthTimeout) {
+    super()
+    this.healthTimeout = timeout
+    this.monitor = null
+    this.log = null
+    this.stopping = false
+    this.failure = null
+    this.spawnError = null
+    this.generation = 0
+    this.state = {
+      status: 'stopped',
+      pid: null,
+      healthy: false,
+      crashes: 0,
+      consecutive: 0,
+      backoff: 0,
+      startedAt: null,
+      lastExit: null,
+      failure: null
+    }
+  }
+
+  update(props) {
+    this.state = Object.assign({}, this.state, props)
+    storeDispatch({
+      type: 'DAEMON_SUPERVISOR_UPDATE',
+      data: this.state
+    })
+  }
+
+  isSupervising() {
+    return this.monitor !== null
+  }
+
+  failed() {
+    return this.failure !== null
+  }
+
+  // command is an array, healthCheck an async function throwing if not healthy
+  start(command, logPath, healthCheck, env = process.env) {
+
+    if (this.monitor) return
+
+    this.log = new RotatingLog(logPath, logSize(), logKeep)
+    this.log.open()
+    this.stopping = false
+    this.failure = null
+    this.spawnError = null
+    this.update({ failure: null })
+
+    let monitor = respawn(command, {
+      env,
+      maxRestarts: -1,
+      sleep: () => this.state.backoff,
+      kill: 10000
+    })
+
+    monitor.on('spawn', child => {
+      let generation = ++this.generation
+      SUPERVISOR(`daemon spawned, pid ${child.pid}`)
+      this.update({ status: 'starting', pid: child.pid, healthy: false, startedAt: new Date().getTime() })
+      this.waitHealthy(generation, healthCheck)
+    })
+
+    monitor.on('stdout', data => this.log.write(data))
+    monitor.on('stderr', data => this.log.write(data))
+    // spawn error, e.g. ENOENT, followed by crash
+    monitor.on('warn', e => {
+      SUPERVISOR(`warning, ${e && e.message}`)
+      this.spawnError = e
+    })
+
+    monitor.on('crash', () => 
+      this.fail(`daemon could not be spawned, ${this.spawnError ? this.spawnError.message : 'unknown error'}`))
+
+    monitor.on('exit', (code, signal) => {
+
+      let now = new Date().getTime()
+      let lastExit = { code, signal, at: now }
+      this.log.write(Buffer.from(`--- daemon exited, code ${code}, signal ${signal}\n`))
+
+      if (this.stopping) {
+        this.update({ status: 'stopping', pid: null, healthy: false, lastExit })
+        return
+      }
+
+      let stable = this.state.startedAt && now - this.state.startedAt > stableTime * 1000
+      let consecutive = stable ? 1 : this.state.consecutive + 1
+      SUPERVISOR(`daemon crashed (code ${code}, signal ${signal}), ${consecutive} in a row`)
+
+      this.update({
+        status: 'backoff',
+        pid: null,
+        healthy: false,
+        crashes: this.state.crashes + 1,
+        consecutive,
+        backoff: backoff(consecutive),
+        lastExit
+      })
+    })
+
+    monitor.on('stop', () => {
+      SUPERVISOR('daemon stopped')
+      this.monitor = null
+      this.log.close()
+      this.update({ status: this.failure ? 'failed' : 'stopped', pid: null, healthy: false, backoff: 0 })
+    })
+
+    this.monitor = monitor
+    monitor.start()
+  }
+
+  // gives up on new spawn, fails after healthTimeout
+  async waitHealthy(generation, healthCheck) {
+
+    for (let i = 0; i < this.healthTimeout; i++) {
+
+      await delay(1000)
+      if (generation !== this.generation || this.stopping || this.state.pid === null) return
+
+      try {
+        await healthCheck()
+      }
+      catch (e) {
+        continue
+      }
+
+      SUPERVISOR(`daemon healthy, pid ${this.state.pid}`)
+      this.update({ status: 'running', healthy: true })
+      this.emit('healthy')
+      return
+    }
+
+    this.fail(`daemon not healthy after ${this.healthTimeout} seconds`)
+  }
+
+  // stops supervising, status is failed until started again
+  fail(reason) {
+
+    SUPERVISOR(`daemon failed, ${reason}`)
+    this.failure = { reason, at: new Date().getTime() }
+    this.update({ failure: this.failure })
+
+    if (!this.monitor) return
+    this.stopping = true
+    this.monitor.stop()
+  }
+
+  // also clears failure
+  stop() {
+
+    if (!this.monitor) {
+      if (this.failure) {
+        this.failure = null
+        this.update({ status: 'stopped', failure: null })
+      }
+      return Promise.resolve()
+    }
+
+    this.stopping = true
+    this.update({ status: 'stopping' })
+    return new Promise(resolve => this.monitor.stop(() => {
+      this.monitor = null
+      this.log.close()
+      resolve()
+    }))
+  }
+
+  async tail(lines) {
+    if (!this.log) return []
+    return await this.log.tail(lines)
+  }
+}
+
+export { Supervisor }
+export default new Supervisor()
@@ -0,0 +1,202 @@
+import request from 'superagent'
+
+import Debug from 'debug'
+const UPDATES = Debug('APPIFI:DOCKER:UPDATES')
+
+import { storeState, storeDispatch, storeSubscribe } from '../../lib/reducers'
+import { containerMatchComponent } from '../../lib/utility'
+
+/*
+ * update detection for installed apps. Remote digest of each installed component's tag
+ * is resolved from registry and compared with RepoDigests of the container's image.
+ *
+ * APPIFI_REGISTRY_URL, default docker hub registry, a local registry (e.g. registry:2 on 
+ * http://localhost:5000) can stand in for tests. Token auth is used if required by registry.
+ * APPIFI_UPDATE_INTERVAL, in seconds, default 6 hours.
+ *
+ * store state 'updates'
+ * {
+ *   checkedAt,
+ *   digests: {
+ *     [namespace/name:tag]: { digest, checkedAt, error }
+ *   }
+ * }
+ */
+
+const manifestTypes = [
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.docker.distribution.manifest.v2+json',
+].join(', ')
+
+// seconds without response before a registry request is given up
+const requestTimeout = 30
+
+const registryURL = () => process.env.APPIFI_REGISTRY_URL || 'https://registry-1.docker.io'
+
+const updateInterval = () => {
+  let seconds = parseInt(process.env.APPIFI_UPDATE_INTERVAL, 10)
+  return (Number.isInteger(seconds) && seconds > 0 ? seconds : 6 * 3600) * 1000
+}
+
+// parse Www-Authenticate: Bearer realm="...",service="...",scope="..."
+const parseChallenge = (header) => {
+
+  if (!header || !header.startsWith('Bearer ')) return null
+
+  let params = {}
+  header.slice(7).replace(/(\w+)="([^"]*)"/g, (match, key, value) => params[key] = value)
+  return params.realm ? params : null
+}
+
+class Updates {
+
+  constructor(timeout = requestTimeout) {
+    this.timeout = timeout
+    this.timer = null
+    this.unsubscribe = null
+    this.checking = null    // promise of the check in flight
+  }
+
+  // return digest or throws
+  async remoteDigest(repo, tag) {
+
+    let url = `${registryURL()}/v2/${repo}/manifests/${tag}`
+    let head = (token) => {
+      let req = request.head(url).set('Accept', manifestTypes).timeout(this.timeout * 1000)
+      return token ? req.set('Authorization', `Bearer ${token}`) : req
+    }
+
+    let response
+    try {
+      response = await head()
+    }
+    catch (e) {
+      let challenge = e.status === 401 && e.response && parseChallenge(e.response.header['www-authenticate'])
+      if (!challenge) throw e
+
+      let auth = await request.get(challenge.realm)
+        .query({ service: challenge.service, scope: challenge.scope || `repository:${repo}:pull` })
+        .timeout(this.timeout * 1000)
+      response = await head(auth.body.token || auth.body.access_token)
+    }
+
+    let digest = response.header['docker-content-digest']
+    if (!digest) throw new Error('no digest in registry response')
+    return digest
+  }
+
+  // components of installed apps, by namespace/name:tag
+  installedTags() {
+
+    let docker = storeState().docker
+    if (!docker || !docker.computed || !docker.computed.installeds) return []
+
+    let tags = new Set()
+    docker.computed.installeds.forEach(inst => inst.recipe.components.forEach(compo => 
+      tags.add(`${compo.namespace}/${compo.name}:${compo.tag}`)))
+    return [...tags]
+  }
+
+  // a check requested while one is in flight joins it
+  async check() {
+
+    if (this.checking) return this.checking
+
+    this.checking = this.checkTags()
+    try {
+      await this.checking
+    }
+    finally {
+      this.checking = null
+    }
+  }
+
+  async checkTags() {
+
+    let last = storeState().updates || { digests: {} }
+    let digests = {}
+
+    for (let key of this.installedTags()) {
+
+      let [repo, tag] = key.split(':')
+      let checkedAt = new Date().getTime()
+      try {
+        digests[key] = { digest: await this.remoteDigest(repo, tag), checkedAt, error: null }
+      }
+      catch (e) {
+        UPDATES(`resolve ${key} failed, ${e.message}`)
+        // keep last known digest
+        let known = last.digests[key]
+        digests[key] = { digest: known ? known.digest : null, checkedAt, error: e.message }
+      }
+    }
+
+    storeDispatch({
+      type: 'UPDATES_UPDATE',
+      data: { checkedAt: new Date().getTime(), digests }
+    })
+
+    UPDATES(`${Object.keys(digests).length} tags checked`)
+  }
+
+  start() {
+
+    if (this.timer) return
+    let run = () => this.check()
+      .catch(e => UPDATES(`check failed, ${e.message}`))
+      .then(() => this.timer = setTimeout(run, updateInterval()))
+
+    this.timer = setTimeout(run, 0)
+
+    // newly installed tags are checked without waiting for next round
+    this.unsubscribe = storeSubscribe(() => {
+      if (this.checking) return
+      let known = (storeState().updates && storeState().updates.digests) || {}
+      if (this.installedTags().some(key => known[key] === undefined))
+        this.check().catch(e => UPDATES(`check failed, ${e.message}`))
+    })
+  }
+
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+    if (this.unsubscribe) this.unsubscribe()
+    this.unsubscribe = null
+  }
+}
+
+let updates = new Updates()
+
+/*
+ * return { updateAvailable, components: [{ name, tag, local, remote, updateAvailable }] }
+ * local digests are from RepoDigests of container images, an image pulled by digest or built
+ * locally has none, its update is unknown (false).
+ */
+const installedUpdates = (installed, imageDetails, updatesState) => {
+
+  let digests = (updatesState && updatesState.digests) || {}
+  let components = installed.recipe.components.map(compo => {
+
+    let repo = `${compo.namespace}/${compo.name}`
+    let container = installed.containers.find(c => containerMatchComponent(c, compo))
+    let detail = container && (imageDetails || []).find(d => d && d.Id === container.ImageID)
+    let local = ((detail && detail.RepoDigests) || []).map(rd => rd.split('@')[1])
+    let entry = digests[`${repo}:${compo.tag}`]
+    let remote = entry ? entry.digest : null
+
+    return { 
+      name: compo.name, 
+      tag: compo.tag, 
+      local, 
+      remote, 
+      updateAvailable: !!remote && local.length > 0 && local.indexOf(remote) === -1 
+    }
+  })
+
+  return { updateAvailable: components.some(c => c.updateAvailable), components }
+}
+
+const checkUpdates = async () => await updates.check()
+
+export { Updates, installedUpdates, checkUpdates }
+export default updates
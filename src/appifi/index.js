@@ -3,26 +3,57 @@ import path from 'path'
 import Debug from 'debug'
 const INDEX = Debug('APPIFI:INDEX')
 
+import users from './lib/users'
+import history from './lib/history'
+import secrets from './lib/secrets'
+import { initAuth } from './lib/auth'
 import httpServer from './component/http/httpServer'
 import dockerInit from './component/docker/docker'
+import catalogs from './component/appstore/catalogs'
+import cache from './component/appstore/cache'
 import { daemonStart, daemonStop, getDockerStatus } from './component/docker/docker'
+import updates from './component/docker/updates'
+import daemonConfig from './component/docker/daemonConfig'
 
 const appifiInit = async (mountpoint) => {
 
+  await users.init(path.join(mountpoint, 'appifi'))
+  initAuth(users)
+  INDEX('Users loaded')
+
+  // finished tasks are recorded from now on
+  await history.init(path.join(mountpoint, 'appifi'))
+  INDEX('Task history loaded')
+
+  await secrets.init(path.join(mountpoint, 'appifi'))
+
+  // json recipes dropped in local dir are merged into appstore, winning over remote ones
+  await catalogs.init(path.join(mountpoint, 'appifi'), process.env.APPIFI_RECIPES_DIR)
+  await cache.init(path.join(mountpoint, 'appifi'))
+  INDEX('Catalogs loaded')
+
   httpServer()
   INDEX('Appifi HTTP server runs')
 
+  // daemon arguments are generated from it
+  await daemonConfig.init(path.join(mountpoint, 'appifi'))
+  INDEX('Daemon config loaded')
+
   // /run/dockerMarket/volumes/xxxx/appifi
   dockerInit.init(path.join(mountpoint, 'appifi'))
   INDEX('Docker initialized')
+
+  // installeds are checked against registry periodically
+  updates.start()
 }
 
 const appstoreStart = async () => {
   await daemonStart()
 }
 
+// external daemon is left running
 const appstoreStop = async () => {
-  await daemonStop()
+  if (!daemonConfig.isExternal()) await daemonStop()
 }
 
 const getDockerInfor = () => {
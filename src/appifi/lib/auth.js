@@ -0,0 +1,50 @@
+import passport from 'passport'
+import { BasicStrategy } from 'passport-http'
+import { Strategy as JwtStrategy, ExtractJwt } from 'passport-jwt'
+
+import Debug from 'debug'
+const AUTH = Debug('APPIFI:AUTH')
+
+/*
+ * strategies depend on user store (jwt secret), must be called after users.init()
+ */
+const initAuth = (users) => {
+
+  passport.use(new BasicStrategy((username, password, done) =>
+    users.verifyPassword(username, password)
+      .then(user => done(null, user || false))
+      .catch(e => done(e))))
+
+  // EventSource can not set header, token in query string is accepted as well
+  let jwtOpts = {
+    secretOrKey: users.secret,
+    jwtFromRequest: ExtractJwt.fromExtractors([
+      ExtractJwt.fromAuthHeaderWithScheme('Bearer'),
+      ExtractJwt.fromUrlQueryParameter('token')
+    ])
+  }
+
+  passport.use(new JwtStrategy(jwtOpts, (payload, done) => {
+
+    let user = users.findUser(payload.uuid)
+    if (!user) return done(null, false)
+
+    // api token, must not be revoked
+    if (payload.token && !users.findToken(payload.token)) {
+      AUTH(`revoked api token ${payload.token} used`)
+      return done(null, false)
+    }
+
+    done(null, user)
+  }))
+
+  AUTH('Strategies initialized')
+}
+
+// bearer (login or api token) or basic auth
+const auth = passport.authenticate(['jwt', 'basic'], { session: false })
+
+// token in query string must not end up in logs
+const redactUrl = (url) => url && url.replace(/([?&]token=)[^&#]*/g, '$1[redacted]')
+
+export { initAuth, auth, redactUrl }
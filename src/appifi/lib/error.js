@@ -25,8 +25,8 @@ class JSONParserError extends Error {
 
 class HttpStatusError extends Error {
 
-  constructor(code) {
-    super(`http status code ${code}`)
+  constructor(code, message) {
+    super(message || `http status code ${code}`)
     this.code = this.errno = 'EHTTPSTATUS'
     this.statusCode = code
   }
@@ -0,0 +1,172 @@
+import path from 'path'
+
+import Debug from 'debug'
+const HISTORY = Debug('APPIFI:HISTORY')
+
+import { fs, mkdirpAsync, writeObjectAsync } from '../../common/async'
+import { storeState, storeSubscribe } from './reducers'
+import { HttpStatusError } from './error'
+
+// max number of entries kept, oldest ones are dropped
+const historyLimit = () => {
+  let limit = parseInt(process.env.APPIFI_TASK_HISTORY, 10)
+  return Number.isInteger(limit) && limit > 0 ? limit : 500
+}
+
+// per-job (or per-container) results of a finished task, by task type
+const taskResults = (task) => {
+
+  switch (task.type) {
+  case 'appInstall':
+    return task.jobs.map(job => ({
+      image: job.image.id,
+      errno: job.image.errno,
+      message: job.image.message,
+      container: job.container && job.container.result ? job.container.result.Id : null,
+      containerErrno: job.container ? job.container.errno : null,
+      containerMessage: job.container ? job.container.message : null
+    }))
+
+  case 'appUninstall':
+    return [
+      ...task.containers.map(c => ({ container: c.id, image: c.image, state: c.state, message: c.message })),
+      { data: task.data.path, state: task.data.state, message: task.data.message || null },
+      ...task.images.map(i => ({ image: i.name, state: i.state, message: i.message || null }))
+    ]
+
+  case 'appUpgrade':
+    return task.jobs.map(job => ({
+      image: job.image.id,
+      errno: job.image.errno,
+      message: job.image.message
+    }))
+
+  default:
+    return []
+  }
+}
+
+const historyEntry = (task) => {
+
+  let facade = task.facade()
+  return {
+    type: facade.type,
+    id: facade.id,
+    uuid: facade.uuid || null,
+    recipeKeyString: facade.recipeKeyString || (facade.type === 'appInstall' ? facade.id : null),
+    appname: facade.recipe ? facade.recipe.appname : null,
+    from: facade.from || null,
+    startedAt: facade.startedAt,
+    endedAt: facade.endedAt,
+    errno: facade.errno,
+    message: facade.message,
+    failure: facade.failure || null,
+    results: taskResults(facade)
+  }
+}
+
+/*
+  task-history.json, oldest first
+  [
+    {
+      type, id, uuid, recipeKeyString, appname,
+      from,                     // upgrade only, recipe key string upgraded from
+      startedAt, endedAt,       // epoch ms
+      errno, message, failure,
+      results: [...]            // per job, container, data or image, by task type
+    }
+  ]
+
+  tasks are recorded when stopped. Saves are serialized, store updates during
+  a save are written by the next one.
+ */
+class History {
+
+  constructor() {
+    this.filePath = null
+    this.tmpDir = null
+    this.list = []
+    this.recorded = new WeakSet()
+    this.saving = false
+    this.dirty = false
+    this.unsubscribe = null
+  }
+
+  async init(dir) {
+
+    this.filePath = path.join(dir, 'task-history.json')
+    this.tmpDir = path.join(dir, 'tmp')
+
+    await mkdirpAsync(this.tmpDir)
+
+    try {
+      this.list = JSON.parse(await fs.readFileAsync(this.filePath))
+    }
+    catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.list = []
+    }
+
+    HISTORY(`${this.list.length} tasks loaded from ${this.filePath}`)
+
+    if (!this.unsubscribe)
+      this.unsubscribe = storeSubscribe(() => this.record())
+  }
+
+  record() {
+
+    let stopped = (storeState().tasks || [])
+      .filter(t => t.status === 'stopped' && !this.recorded.has(t))
+    if (stopped.length === 0) return
+
+    stopped.forEach(t => {
+      this.recorded.add(t)
+      this.list.push(historyEntry(t))
+    })
+
+    let limit = historyLimit()
+    if (this.list.length > limit) this.list = this.list.slice(this.list.length - limit)
+
+    this.save().catch(e => HISTORY(`save failed, ${e.message}`))
+  }
+
+  async save() {
+
+    if (this.saving) {
+      this.dirty = true
+      return
+    }
+
+    this.saving = true
+    try {
+      do {
+        this.dirty = false
+        await writeObjectAsync(this.filePath, this.tmpDir, this.list)
+      } while (this.dirty)
+    }
+    finally {
+      this.saving = false
+    }
+  }
+
+  // newest first, filtered by type if given
+  page(offset = 0, limit = 20, type) {
+
+    if (!Number.isInteger(offset) || offset < 0)
+      throw new HttpStatusError(400, 'offset must be a non-negative integer')
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100)
+      throw new HttpStatusError(400, 'limit must be an integer between 1 and 100')
+
+    let entries = [...this.list].reverse()
+    if (type !== undefined) entries = entries.filter(ent => ent.type === type)
+
+    return {
+      total: entries.length,
+      offset,
+      limit,
+      entries: entries.slice(offset, offset + limit)
+    }
+  }
+}
+
+export default new History()
@@ -0,0 +1,113 @@
+import path from 'path'
+import fs from 'fs'
+
+import { recipeErrors, calcRecipeKeyString } from './utility'
+import { undeclaredPlaceholders, applyParameters } from './parameters'
+
+/*
+ * recipe linter, checks a list of recipes (a catalog) as a whole, beyond schema
+ *
+ * return a list of problems, empty if clean
+ * [
+ *   {
+ *     index,       // recipe position in list
+ *     appname,     // or null
+ *     message
+ *   }
+ * ]
+ */
+
+const recipeName = (recipe) => 
+  (recipe && typeof recipe.appname === 'string') ? recipe.appname : null
+
+// host path is relative to app data dir, it must not escape it
+const bindErrors = (compo) => {
+
+  let binds = (compo.config.HostConfig && compo.config.HostConfig.Binds) || []
+  let errors = []
+  let targets = []
+
+  binds.forEach(bind => {
+    let [host, target] = bind.split(':')
+    if (host.split('/').indexOf('..') !== -1)
+      errors.push(`component ${compo.name} bind ${bind} host path escapes app data dir`)
+    if (target.split('/').indexOf('..') !== -1)
+      errors.push(`component ${compo.name} bind ${bind} container path is not normalized`)
+    if (targets.indexOf(target) !== -1)
+      errors.push(`component ${compo.name} bind target ${target} bound more than once`)
+    targets.push(target)
+  })
+
+  return errors
+}
+
+// list of { port, compo } with port as HostPort/protocol, e.g. 8080/tcp, 
+// parameterized ports are checked with their defaults
+const hostPorts = (recipe) => applyDefaults(recipe).components.reduce((acc, compo) => {
+
+  let bindings = (compo.config.HostConfig && compo.config.HostConfig.PortBindings) || {}
+  Object.keys(bindings).forEach(key => {
+    let protocol = key.split('/')[1]
+    bindings[key].forEach(binding => {
+      if (binding.HostPort) acc.push({ port: `${binding.HostPort}/${protocol}`, compo })
+    })
+  })
+  return acc
+}, [])
+
+const applyDefaults = (recipe) => {
+  let defaults = (recipe.parameters || [])
+    .filter(p => p.default !== undefined)
+    .reduce((acc, p) => Object.assign(acc, { [p.name]: p.default }), {})
+  return applyParameters(recipe, defaults)
+}
+
+const lintRecipes = (recipes, imagesDir) => {
+
+  let problems = []
+  let report = (index, message) => 
+    problems.push({ index, appname: recipeName(recipes[index]), message })
+
+  let keys = new Map()      // key string -> index
+  let ports = new Map()     // host port -> index
+
+  recipes.forEach((recipe, index) => {
+
+    let errors = recipeErrors(recipe)
+    if (errors.length) {
+      errors.forEach(e => report(index, e))
+      return
+    }
+
+    undeclaredPlaceholders(recipe).forEach(name => 
+      report(index, `placeholder {{${name}}} is not a declared parameter`))
+
+    let key = calcRecipeKeyString(recipe)
+    if (keys.has(key))
+      report(index, `recipe key ${key} duplicates recipe #${keys.get(key)}`)
+    else
+      keys.set(key, index)
+
+    recipe.components.forEach(compo => {
+
+      bindErrors(compo).forEach(e => report(index, e))
+
+      if (compo.imageLink !== undefined && imagesDir &&
+        !fs.existsSync(path.join(imagesDir, compo.imageLink)))
+        report(index, `component ${compo.name} imageLink ${compo.imageLink} not found in ${imagesDir}`)
+    })
+
+    hostPorts(recipe).forEach(({ port, compo }) => {
+      if (ports.has(port) && ports.get(port) !== index)
+        report(index, `component ${compo.name} host port ${port} collides with recipe #${ports.get(port)}`)
+      else if (ports.has(port))
+        report(index, `component ${compo.name} host port ${port} bound more than once`)
+      else
+        ports.set(port, index)
+    })
+  })
+
+  return problems
+}
+
+export { lintRecipes }
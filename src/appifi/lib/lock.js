@@ -0,0 +1,15 @@
+/*
+ * returns a function running async functions one at a time, in call order. A rejected
+ * one does not block those following.
+ */
+const createLock = () => {
+
+  let tail = Promise.resolve()
+  return (f) => {
+    let result = tail.then(() => f())
+    tail = result.catch(() => {})
+    return result
+  }
+}
+
+export { createLock }
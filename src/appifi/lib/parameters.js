@@ -0,0 +1,187 @@
+import path from 'path'
+
+import { HttpStatusError } from './error'
+
+/*
+ * recipe parameters, user-supplied install inputs
+ *
+ * recipe.parameters: [
+ *   {
+ *     name,          // referenced as {{name}} in component config
+ *     type,          // port, string, secret, path, enum, boolean
+ *     label,         // optional, for install form
+ *     default,       // optional
+ *     required,      // optional, default true if no default
+ *     options,       // enum only, list of strings
+ *     pattern,       // string and secret only, optional regex
+ *     min, max       // port only, optional
+ *   }
+ * ]
+ *
+ * A placeholder occupying a whole string is replaced by the typed value, e.g. a
+ * boolean; otherwise the value is interpolated as string. Values are recorded in
+ * container label along with the (unresolved) recipe.
+ */
+
+const parameterTypes = ['port', 'string', 'secret', 'path', 'enum', 'boolean']
+const placeholderRegex = /\{\{([A-Za-z_][A-Za-z0-9_]*)\}\}/g
+const wholePlaceholderRegex = /^\{\{([A-Za-z_][A-Za-z0-9_]*)\}\}$/
+
+const secretMask = '********'
+
+const parametersOf = (recipe) => recipe.parameters || []
+
+const invalid = (param, reason) => 
+  new HttpStatusError(400, `parameter ${param.name} ${reason}`)
+
+// return typed value, or throws 400
+const validateValue = (param, value) => {
+
+  switch (param.type) {
+  case 'port': {
+    let port = typeof value === 'string' ? parseInt(value, 10) : value
+    if (!Number.isInteger(port) || String(port) !== String(value)) 
+      throw invalid(param, 'must be an integer')
+    let min = param.min === undefined ? 1 : param.min
+    let max = param.max === undefined ? 65535 : param.max
+    if (port < min || port > max) throw invalid(param, `must be between ${min} and ${max}`)
+    return port
+  }
+  case 'string':
+  case 'secret':
+    if (typeof value !== 'string') throw invalid(param, 'must be a string')
+    if (param.pattern && !new RegExp(param.pattern).test(value)) 
+      throw invalid(param, `must match ${param.pattern}`)
+    return value
+  case 'path':
+    if (typeof value !== 'string' || !path.isAbsolute(value)) 
+      throw invalid(param, 'must be an absolute path')
+    if (value.split('/').indexOf('..') !== -1) throw invalid(param, 'must not contain ..')
+    return value
+  case 'enum':
+    if (param.options.indexOf(value) === -1) 
+      throw invalid(param, `must be one of ${param.options.join(', ')}`)
+    return value
+  case 'boolean':
+    if (typeof value !== 'boolean') throw invalid(param, 'must be a boolean')
+    return value
+  default:
+    throw invalid(param, `has unknown type ${param.type}`)
+  }
+}
+
+// return complete values with defaults applied, or throws 400
+const resolveParameterValues = (recipe, values = {}) => {
+
+  if (typeof values !== 'object' || values === null || Array.isArray(values))
+    throw new HttpStatusError(400, 'parameter values must be an object')
+
+  let params = parametersOf(recipe)
+  let unknown = Object.keys(values).find(name => !params.find(p => p.name === name))
+  if (unknown) throw new HttpStatusError(400, `unknown parameter ${unknown}`)
+
+  return params.reduce((resolved, param) => {
+
+    let value = values[param.name]
+    if (value === undefined || value === '') value = param.default
+    if (value === undefined) {
+      if (param.required === false) return resolved
+      throw invalid(param, 'is required')
+    }
+
+    return Object.assign(resolved, { [param.name]: validateValue(param, value) })
+  }, {})
+}
+
+// placeholder names referenced in obj
+const placeholdersOf = (obj) => {
+
+  if (typeof obj === 'string') {
+    let names = []
+    obj.replace(placeholderRegex, (match, name) => names.push(name))
+    return names
+  }
+  if (Array.isArray(obj)) 
+    return obj.reduce((acc, item) => [...acc, ...placeholdersOf(item)], [])
+  if (obj && typeof obj === 'object') 
+    return Object.keys(obj).reduce((acc, key) => [...acc, ...placeholdersOf(obj[key])], [])
+  return []
+}
+
+// placeholders in components not declared as parameters
+const undeclaredPlaceholders = (recipe) => {
+  let names = parametersOf(recipe).map(p => p.name)
+  return placeholdersOf(recipe.components).filter(name => names.indexOf(name) === -1)
+}
+
+const substitute = (obj, values) => {
+
+  if (typeof obj === 'string') {
+    let whole = obj.match(wholePlaceholderRegex)
+    if (whole && values[whole[1]] !== undefined) return values[whole[1]]
+    return obj.replace(placeholderRegex, (match, name) => 
+      values[name] === undefined ? '' : String(values[name]))
+  }
+  if (Array.isArray(obj)) return obj.map(item => substitute(item, values))
+  if (obj && typeof obj === 'object') 
+    return Object.keys(obj).reduce((acc, key) => 
+      Object.assign(acc, { [key]: substitute(obj[key], values) }), {})
+  return obj
+}
+
+/*
+ * return a new recipe with placeholders in components config substituted, values 
+ * must be resolved. port values are strings in config, as docker requires. 
+ */
+const applyParameters = (recipe, values) => {
+
+  let stringified = Object.keys(values).reduce((acc, name) => {
+    let param = parametersOf(recipe).find(p => p.name === name)
+    return Object.assign(acc, { [name]: param.type === 'port' ? String(values[name]) : values[name] })
+  }, {})
+
+  return Object.assign({}, recipe, {
+    components: recipe.components.map(compo => 
+      Object.assign({}, compo, { config: substitute(compo.config, stringified) }))
+  })
+}
+
+// values with secrets masked, for facade
+const maskParameterValues = (recipe, values) => {
+
+  if (!values) return values
+  return Object.keys(values).reduce((acc, name) => {
+    let param = parametersOf(recipe).find(p => p.name === name)
+    return Object.assign(acc, { [name]: param && param.type === 'secret' ? secretMask : values[name] })
+  }, {})
+}
+
+// secret values only, kept out of container label, see secrets
+const secretParameterValues = (recipe, values = {}) => 
+  Object.keys(values).reduce((acc, name) => {
+    let param = parametersOf(recipe).find(p => p.name === name)
+    return param && param.type === 'secret' ? Object.assign(acc, { [name]: values[name] }) : acc
+  }, {})
+
+/*
+ * values from container label with secrets put back from store. Labels of older version
+ * have them in clear; masked ones not in store are dropped, default or 400 follows.
+ */
+const restoreSecretValues = (recipe, values = {}, secrets = {}) =>
+  Object.keys(values).reduce((acc, name) => {
+    let param = parametersOf(recipe).find(p => p.name === name)
+    if (!param || param.type !== 'secret') return Object.assign(acc, { [name]: values[name] })
+    if (secrets[name] !== undefined) return Object.assign(acc, { [name]: secrets[name] })
+    return values[name] === secretMask ? acc : Object.assign(acc, { [name]: values[name] })
+  }, {})
+
+export {
+  parameterTypes,
+  secretMask,
+  resolveParameterValues,
+  undeclaredPlaceholders,
+  applyParameters,
+  maskParameterValues,
+  secretParameterValues,
+  restoreSecretValues,
+}
@@ -0,0 +1,66 @@
+import { HttpStatusError } from './error'
+
+// in ascending order of privilege
+const roles = ['viewer', 'operator', 'admin']
+
+/*
+ * minimum role required for each operation, the same names are used by
+ * POST /server operation switch and resource routes. Reading (facade) is
+ * allowed for all roles.
+ */
+const operationRoles = {
+  daemonStart: 'admin',
+  daemonStop: 'admin',
+  daemonLog: 'operator',
+  daemonConfigUpdate: 'admin',
+  containerStart: 'operator',
+  containerStop: 'operator',
+  containerDelete: 'admin',
+  installedStart: 'operator',
+  installedStop: 'operator',
+  appInstall: 'admin',
+  appUninstall: 'admin',
+  appUpgrade: 'admin',
+  taskCancel: 'admin',
+  taskRetry: 'admin',
+  taskDismiss: 'operator',
+  appstoreRefresh: 'operator',
+  updatesCheck: 'operator',
+  catalogAdd: 'admin',
+  catalogUpdate: 'admin',
+  catalogRemove: 'admin',
+  userList: 'admin',
+  userCreate: 'admin',
+  userUpdate: 'admin',
+}
+
+const validRole = (role) => roles.indexOf(role) !== -1
+
+const permitted = (user, operation) => {
+
+  let required = operationRoles[operation]
+  if (!user || !required) return false
+  return roles.indexOf(user.role) >= roles.indexOf(required)
+}
+
+// operations the user may perform, for ui
+const permittedOperations = (user) =>
+  Object.keys(operationRoles).filter(op => permitted(user, op))
+
+const assertPermitted = (user, operation) => {
+  if (!permitted(user, operation))
+    throw new HttpStatusError(403, `operation ${operation} not permitted`)
+}
+
+// express middleware
+const permit = (operation) => (req, res, next) => {
+  try {
+    assertPermitted(req.user, operation)
+    next()
+  }
+  catch (e) {
+    next(e)
+  }
+}
+
+export { roles, validRole, permitted, permittedOperations, assertPermitted, permit }
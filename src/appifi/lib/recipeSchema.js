@@ -0,0 +1,140 @@
+/*
+ * recipe json schemas, by schemaVersion. A recipe without schemaVersion is version 1.
+ * Version 2 adds parameters, referenced as {{name}} placeholders in component config.
+ *
+ * additional properties are allowed, so recipes written for newer appifi
+ * still load, as long as known properties are valid.
+ */
+
+// docker reference grammar, lowercase name components and word-char tags
+const namePattern = '^[a-z0-9]+(?:[._-][a-z0-9]+)*$'
+const tagPattern = '^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$'
+const textPattern = '^[A-Za-z][A-Za-z0-9-_+\\.]*$'
+
+// {{name}} references a recipe parameter
+const placeholder = '\\{\\{[A-Za-z_][A-Za-z0-9_]*\\}\\}'
+
+// host bind path is relative to app data dir, e.g. /var/www/html:/var/www/html[:ro]
+const bindPattern = '^/[^:]*:/[^:]*(:(ro|rw))?$'
+
+// host port pattern differs by version
+const portBindingsSchema = (hostPortPattern) => ({
+  type: 'object',
+  patternProperties: {
+    '^[0-9]{1,5}/(tcp|udp)$': {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          HostIp: { type: 'string' },
+          HostPort: { type: 'string', pattern: hostPortPattern }
+        }
+      }
+    }
+  },
+  additionalProperties: false
+})
+
+const parameterSchemaV2 = {
+  type: 'object',
+  required: ['name', 'type'],
+  properties: {
+    name: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+    type: { enum: ['port', 'string', 'secret', 'path', 'enum', 'boolean'] },
+    label: { type: 'string' },
+    default: { type: ['string', 'integer', 'boolean'] },
+    required: { type: 'boolean' },
+    options: { type: 'array', minItems: 1, items: { type: 'string' } },
+    pattern: { type: 'string' },
+    min: { type: 'integer', minimum: 1, maximum: 65535 },
+    max: { type: 'integer', minimum: 1, maximum: 65535 }
+  },
+  // enum requires options
+  anyOf: [
+    { properties: { type: { not: { enum: ['enum'] } } } },
+    { required: ['options'] }
+  ]
+}
+
+const componentSchema = (portBindings) => ({
+  type: 'object',
+  required: ['name', 'namespace', 'tag', 'config'],
+  properties: {
+    name: { type: 'string', pattern: namePattern },
+    namespace: { type: 'string', pattern: namePattern },
+    tag: { type: 'string', pattern: tagPattern },
+    registry: { type: 'string', pattern: textPattern },
+    imageLink: { type: 'string' },
+    repo: { type: 'null' },
+    overlay: { type: 'boolean' },
+    configOverlay: { type: 'boolean' },      // legacy name of overlay
+    volumes: { type: 'array' },
+    config: {
+      type: 'object',
+      properties: {
+        Image: { type: 'string' },
+        Labels: { type: 'object' },
+        HostConfig: {
+          type: 'object',
+          properties: {
+            Binds: {
+              type: ['array', 'null'],
+              items: { type: 'string', pattern: bindPattern }
+            },
+            PortBindings: portBindings,
+            PublishAllPorts: { type: 'boolean' },
+            RestartPolicy: {
+              type: 'object',
+              properties: {
+                Name: { enum: ['', 'no', 'always', 'unless-stopped', 'on-failure'] }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+})
+
+const recipeSchemaV1 = {
+  $id: 'recipe-v1',
+  type: 'object',
+  required: ['appname', 'components'],
+  properties: {
+    schemaVersion: { enum: [1] },
+    appname: { type: 'string', pattern: textPattern },
+    flavor: { type: 'string', pattern: textPattern },
+    components: {
+      type: 'array',
+      minItems: 1,
+      items: componentSchema(portBindingsSchema('^[0-9]{0,5}$'))
+    }
+  }
+}
+
+const recipeSchemaV2 = {
+  $id: 'recipe-v2',
+  type: 'object',
+  required: ['schemaVersion', 'appname', 'components'],
+  properties: {
+    schemaVersion: { enum: [2] },
+    appname: { type: 'string', pattern: textPattern },
+    flavor: { type: 'string', pattern: textPattern },
+    parameters: {
+      type: 'array',
+      items: parameterSchemaV2
+    },
+    components: {
+      type: 'array',
+      minItems: 1,
+      items: componentSchema(portBindingsSchema(`^([0-9]{0,5}|${placeholder})$`))
+    }
+  }
+}
+
+const recipeSchemas = {
+  1: recipeSchemaV1,
+  2: recipeSchemaV2
+}
+
+export default recipeSchemas
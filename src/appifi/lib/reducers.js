@@ -23,6 +23,7 @@ const docker = (state = null, action) => {
       newState = {
         volume: action.data.volume,
         events: action.data.events,
+        apiVersion: action.data.apiVersion,
         data: null,
         computed: null
       }
@@ -61,8 +62,9 @@ const tasks = (state = [], action) => {
       return [...state, action.task]
     }
 
+    // by identity, a stopped task and a new one may share type and id
     case 'TASK_REMOVE':
-      let index = state.findIndex(t => t.type === action.task.type && t.id === action.task.id)
+      let index = state.indexOf(action.task)
       if (index === -1) {
         REDUCERS(`ERROR: TASK_REMOVE, task not found, type: ${action.task.type}, id: ${action.task.id}`)
         return state 
@@ -85,6 +87,42 @@ const appstore = (state = null, action) => {
   }
 }
 
+// remote digests of installed components, see docker/updates
+const updates = (state = null, action) => {
+
+  switch(action.type) {
+    case 'UPDATES_UPDATE':
+      return action.data
+
+    default:
+      return state
+  }
+}
+
+// docker daemon supervisor state, see docker/supervisor
+const daemon = (state = null, action) => {
+
+  switch(action.type) {
+    case 'DAEMON_SUPERVISOR_UPDATE':
+      return action.data
+
+    default:
+      return state
+  }
+}
+
+// persisted daemon config and whether daemon must be restarted to apply it
+const daemonConfig = (state = null, action) => {
+
+  switch(action.type) {
+    case 'DAEMON_CONFIG_UPDATE':
+      return action.data
+
+    default:
+      return state
+  }
+}
+
 const increment = (state = 0, action) => {
 
   switch(action.type) {
@@ -102,6 +140,9 @@ let store = createStore(combineReducers({
   docker,
   appstore,
   tasks,
+  updates,
+  daemon,
+  daemonConfig,
 }))
 
 REDUCERS(`Module initialized`)
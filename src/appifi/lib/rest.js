@@ -0,0 +1,328 @@
+import express from 'express'
+
+import Debug from 'debug'
+const REST = Debug('APPIFI:REST')
+
+import { storeState } from './reducers'
+import users from './users'
+import history from './history'
+import { auth, redactUrl } from './auth'
+import { permit } from './permissions'
+import { HttpStatusError } from './error'
+import { maskAppifiLabel } from './utility'
+import { appstoreFacade, installedFacades, tasksFacade } from './server'
+import {
+  containerStart,
+  containerStop,
+  containerDeleteCommand,
+  managedContainers,
+  installedStart,
+  installedStop,
+  appInstall,
+  appInstallPlan,
+  appUninstall,
+  appUpgrade,
+  taskCancel,
+  taskRetry,
+  taskDismiss
+} from '../component/docker/docker'
+
+import { refreshAppstore, addCatalog, updateCatalog, removeCatalog } from '../component/appstore/appstore'
+import catalogs from '../component/appstore/catalogs'
+import { checkUpdates } from '../component/docker/updates'
+import supervisor from '../component/docker/supervisor'
+import { updateDaemonConfig } from '../component/docker/daemonConfig'
+import { daemonConfigFacade } from '../component/docker/daemonConfigFacade'
+
+/*
+ * resource routes, alongside the legacy POST /server operation switch
+ */
+const router = express.Router()
+
+// forward async rejection to error handler
+const wrap = (f) => (req, res, next) => f(req, res).catch(next)
+
+// dockerApi returns error rather than throws
+const throwIfError = (r) => {
+  if (r instanceof Error) throw r
+  return r
+}
+
+const dockerData = () => {
+
+  let docker = storeState().docker
+  if (!docker || !docker.data || !docker.computed)
+    throw new HttpStatusError(503, 'docker not available')
+
+  return docker
+}
+
+const findContainer = (id) => {
+
+  let container = managedContainers(dockerData().data.containers).find(c => c.Id === id || c.Id.startsWith(id))
+  if (!container) throw new HttpStatusError(404, `container ${id} not found`)
+  return container
+}
+
+const findApp = (uuid) => {
+
+  let app = installedFacades(dockerData().computed.installeds).find(inst => inst.uuid === uuid)
+  if (!app) throw new HttpStatusError(404, `installed app ${uuid} not found`)
+  return app
+}
+
+// task id is recipe key string for appInstall, uuid is also accepted. appUninstall task
+// has app uuid as id, type tells them apart
+const findTask = (id, type) => {
+
+  let task = tasksFacade(storeState().tasks)
+    .find(t => (t.id === id || t.uuid === id) && (type === undefined || t.type === type))
+  if (!task) throw new HttpStatusError(404, `task ${id} not found`)
+  return task
+}
+
+/** 
+ * login, no auth required. on a fresh box, the first login creates the first admin,
+ * with the setup token from the device 
+ **/
+router.post('/login', wrap(async (req, res) => {
+
+  let { username, password, setupToken } = req.body
+
+  let user
+  if (users.isEmpty()) {
+    user = await users.createFirstAdmin(username, password, setupToken)
+  }
+  else {
+    user = await users.verifyPassword(username, password)
+    if (!user) throw new HttpStatusError(401, 'invalid username or password')
+  }
+
+  res.status(200).json({
+    token: users.issueJwt(user),
+    user: users.userFacade(user)
+  })
+}))
+
+router.use(['/users', '/tokens', '/apps', '/containers', '/tasks', '/recipes', '/catalogs', '/updates', '/daemon'], auth)
+
+/** users **/
+router.get('/users', permit('userList'), (req, res) => res.status(200).json(users.usersFacade()))
+
+router.get('/users/me', (req, res) => res.status(200).json(users.userFacade(req.user)))
+
+router.post('/users', permit('userCreate'), wrap(async (req, res) => {
+  let user = await users.createUser(req.body.username, req.body.password, req.body.role)
+  res.status(201).json(users.userFacade(user))
+}))
+
+router.patch('/users/:uuid', permit('userUpdate'), wrap(async (req, res) => {
+  let user = await users.setRole(req.params.uuid, req.body.role)
+  res.status(200).json(users.userFacade(user))
+}))
+
+/** api tokens of current user **/
+router.get('/tokens', (req, res) => res.status(200).json(users.listApiTokens(req.user)))
+
+router.post('/tokens', wrap(async (req, res) => {
+  let token = await users.createApiToken(req.user, req.body.name)
+  res.status(201).json(token)
+}))
+
+router.delete('/tokens/:uuid', wrap(async (req, res) => {
+  await users.revokeApiToken(req.user, req.params.uuid)
+  res.status(204).end()
+}))
+
+/** apps **/
+router.get('/apps', (req, res) =>
+  res.status(200).json(installedFacades(dockerData().computed.installeds)))
+
+// same body for install and install plan
+const installArgs = (body) => {
+
+  let { recipeKeyString, parameters, autoAssignPorts, rollbackImages } = body
+  if (typeof recipeKeyString !== 'string')
+    throw new HttpStatusError(400, 'recipeKeyString must be a string')
+  if (autoAssignPorts !== undefined && typeof autoAssignPorts !== 'boolean')
+    throw new HttpStatusError(400, 'autoAssignPorts must be a boolean')
+  if (rollbackImages !== undefined && typeof rollbackImages !== 'boolean')
+    throw new HttpStatusError(400, 'rollbackImages must be a boolean')
+
+  return [recipeKeyString, parameters, autoAssignPorts, rollbackImages]
+}
+
+router.post('/apps', permit('appInstall'), wrap(async (req, res) => {
+  let task = await appInstall(...installArgs(req.body))
+  res.status(202).json(task.facade())
+}))
+
+router.post('/apps/plan', permit('appInstall'), wrap(async (req, res) => {
+  let plan = await appInstallPlan(...installArgs(req.body))
+  res.status(200).json(plan)
+}))
+
+router.get('/apps/:uuid', (req, res) => res.status(200).json(findApp(req.params.uuid)))
+
+// ?deleteData=true&deleteImages=true
+router.delete('/apps/:uuid', permit('appUninstall'), wrap(async (req, res) => {
+  let task = await appUninstall(req.params.uuid, 
+    req.query.deleteData === 'true', req.query.deleteImages === 'true')
+  res.status(202).json(task.facade())
+}))
+
+// recipeKeyString defaults to the installed one
+router.post('/apps/:uuid/upgrade', permit('appUpgrade'), wrap(async (req, res) => {
+
+  let { recipeKeyString } = req.body
+  if (recipeKeyString !== undefined && typeof recipeKeyString !== 'string')
+    throw new HttpStatusError(400, 'recipeKeyString must be a string')
+
+  let task = await appUpgrade(req.params.uuid, recipeKeyString)
+  res.status(202).json(task.facade())
+}))
+
+router.post('/apps/:uuid/start', permit('installedStart'), wrap(async (req, res) => {
+  await installedStart(req.params.uuid)
+  res.status(204).end()
+}))
+
+router.post('/apps/:uuid/stop', permit('installedStop'), wrap(async (req, res) => {
+  await installedStop(req.params.uuid)
+  res.status(204).end()
+}))
+
+/** containers **/
+router.get('/containers', (req, res) => 
+  res.status(200).json(managedContainers(dockerData().data.containers).map(maskAppifiLabel)))
+
+router.get('/containers/:id', (req, res) => res.status(200).json(maskAppifiLabel(findContainer(req.params.id))))
+
+router.delete('/containers/:id', permit('containerDelete'), wrap(async (req, res) => {
+  await containerDeleteCommand(findContainer(req.params.id).Id)
+  res.status(204).end()
+}))
+
+router.post('/containers/:id/start', permit('containerStart'), wrap(async (req, res) => {
+  throwIfError(await containerStart(findContainer(req.params.id).Id))
+  res.status(204).end()
+}))
+
+router.post('/containers/:id/stop', permit('containerStop'), wrap(async (req, res) => {
+  throwIfError(await containerStop(findContainer(req.params.id).Id))
+  res.status(204).end()
+}))
+
+/** daemon **/
+router.get('/daemon', (req, res) => res.status(200).json(storeState().daemon))
+
+router.get('/daemon/config', (req, res) => res.status(200).json(daemonConfigFacade(storeState().daemonConfig, req.user)))
+
+// takes effect on daemon restart, restartRequired tells
+router.patch('/daemon/config', permit('daemonConfigUpdate'), wrap(async (req, res) => {
+  res.status(200).json(await updateDaemonConfig(req.body))
+}))
+
+// last lines of daemon output, plain text
+router.get('/daemon/log', permit('daemonLog'), wrap(async (req, res) => {
+
+  let lines = req.query.lines === undefined ? 100 : parseInt(req.query.lines, 10)
+  if (!Number.isInteger(lines) || lines < 1 || lines > 10000)
+    throw new HttpStatusError(400, 'lines must be an integer between 1 and 10000')
+
+  let log = await supervisor.tail(lines)
+  res.status(200).type('text/plain').send(log.join('\n') + (log.length ? '\n' : ''))
+}))
+
+/** tasks **/
+router.get('/tasks', (req, res) => res.status(200).json(tasksFacade(storeState().tasks)))
+
+// finished tasks, persisted, newest first
+router.get('/tasks/history', (req, res) => {
+
+  let int = (value, def) => value === undefined ? def : (/^\d+$/.test(value) ? parseInt(value, 10) : NaN)
+  res.status(200).json(history.page(int(req.query.offset, 0), int(req.query.limit, 20), req.query.type))
+})
+
+router.get('/tasks/:id', (req, res) => res.status(200).json(findTask(req.params.id, req.query.type)))
+
+// type defaults to the type of the task found by id
+router.post('/tasks/:id/cancel', permit('taskCancel'), wrap(async (req, res) => {
+  let task = findTask(req.params.id, req.query.type)
+  res.status(200).json((await taskCancel(task.type, task.id)).facade())
+}))
+
+router.post('/tasks/:id/retry', permit('taskRetry'), wrap(async (req, res) => {
+  let task = findTask(req.params.id, req.query.type)
+  res.status(202).json((await taskRetry(task.type, task.id)).facade())
+}))
+
+router.delete('/tasks/:id', permit('taskDismiss'), wrap(async (req, res) => {
+  let task = findTask(req.params.id, req.query.type)
+  await taskDismiss(task.type, task.id)
+  res.status(204).end()
+}))
+
+/** updates, remote digests of installed components **/
+router.get('/updates', (req, res) => res.status(200).json(storeState().updates || { checkedAt: null, digests: {} }))
+
+router.post('/updates/check', permit('updatesCheck'), wrap(async (req, res) => {
+  await checkUpdates()
+  res.status(200).json(storeState().updates)
+}))
+
+/** recipes **/
+router.get('/recipes', (req, res) => {
+
+  let appstore = appstoreFacade(storeState().appstore)
+  if (!appstore) throw new HttpStatusError(503, 'appstore not available')
+  res.status(200).json(appstore)
+})
+
+router.post('/recipes/refresh', permit('appstoreRefresh'), wrap(async (req, res) => {
+  await refreshAppstore()
+  res.status(200).json(appstoreFacade(storeState().appstore))
+}))
+
+/** catalogs, with their status in last appstore refresh **/
+router.get('/catalogs', (req, res) => {
+
+  let appstore = storeState().appstore
+  let statuses = (appstore && appstore.catalogs) || []
+  res.status(200).json(catalogs.sorted().map(c => 
+    Object.assign({}, statuses.find(s => s.uuid === c.uuid), c)))
+})
+
+router.post('/catalogs', permit('catalogAdd'), wrap(async (req, res) => {
+  let catalog = await addCatalog(req.body)
+  res.status(201).json(catalog)
+}))
+
+router.patch('/catalogs/:uuid', permit('catalogUpdate'), wrap(async (req, res) => {
+  let catalog = await updateCatalog(req.params.uuid, req.body)
+  res.status(200).json(catalog)
+}))
+
+router.delete('/catalogs/:uuid', permit('catalogRemove'), wrap(async (req, res) => {
+  await removeCatalog(req.params.uuid)
+  res.status(204).end()
+}))
+
+/*
+ * HttpStatusError carries statusCode, superagent error (from dockerApi) carries status,
+ * anything else is an internal error
+ */
+router.use((err, req, res, next) => {
+
+  let statusCode = err.statusCode || err.status
+  if (typeof statusCode !== 'number' || statusCode < 400 || statusCode > 599)
+    statusCode = 500
+
+  REST(`${req.method} ${redactUrl(req.originalUrl)} failed, ${statusCode}, ${err.message}`)
+  res.status(statusCode).json({
+    code: err.code,
+    message: err.message
+  })
+})
+
+export default router
@@ -1,19 +1,24 @@
 import express from 'express'
 import logger from 'morgan'
 import bodyParser from 'body-parser'
+import passport from 'passport'
 
 import assets from '../../../assets'
 import server from './server'
+import rest from './rest'
+import { auth, redactUrl } from './auth'
 
 import Debug from 'debug'
 const ROUTER = Debug('APPIFI:ROUTER')
 
 const app = express()
 
+logger.token('url', req => redactUrl(req.originalUrl || req.url))
 app.use(logger('dev', { skip: (req, res) => res.nolog === true }))
 
 app.use(bodyParser.json())
 app.use(bodyParser.urlencoded({ extended: false }))
+app.use(passport.initialize())
 
 app.set('json spaces', 2)
 
@@ -66,14 +71,39 @@ const nolog = (res) => {
   return res
 }
 
-app.get('/server', (req, res) => nolog(res).status(200).json(server.get()))
-app.get('/server/status', (req, res) => nolog(res).status(200).json(server.status()))
+app.get('/server', auth, (req, res) => nolog(res).status(200).json(server.get(req.user)))
+app.get('/server/status', auth, (req, res) => nolog(res).status(200).json(server.status()))
 
-app.post('/server', (req, res) => {
+// server-sent events, full facade first, json-patch diffs afterwards
+app.get('/server/stream', auth, (req, res) => {
+
+  nolog(res)
+  req.socket.setTimeout(0)
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  })
+  res.flushHeaders()
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+
+  let unwatch = server.watch(req.user, send)
+  let heartbeat = setInterval(() => res.write(':\n\n'), 15000)
+
+  req.on('close', () => {
+    ROUTER('stream closed')
+    clearInterval(heartbeat)
+    unwatch()
+  })
+})
+
+app.post('/server', auth, (req, res) => {
 
   ROUTER(req.body)
 
-  server.operation(req.body, (err, result) => 
+  server.operation(req.body, req.user, (err, result) => 
     err ? res.status(200).json({
         err: err.message,
         ecode: err.code
@@ -86,4 +116,7 @@ app.post('/server', (req, res) => {
   }
 )
 
+// resource routes
+app.use(rest)
+
 export default app
@@ -0,0 +1,66 @@
+import path from 'path'
+
+import Debug from 'debug'
+const SECRETS = Debug('APPIFI:SECRETS')
+
+import { fs, mkdirpAsync, writeObjectAsync } from '../../common/async'
+
+/*
+ * secret parameter values of installed apps, secrets/<app uuid>.json under appifi root,
+ * readable by owner only. Container labels hold them masked, since labels are visible
+ * to anyone who can list containers.
+ */
+class Secrets {
+
+  constructor() {
+    this.dir = null
+    this.tmpDir = null
+  }
+
+  async init(dir) {
+
+    this.dir = path.join(dir, 'secrets')
+    this.tmpDir = path.join(dir, 'tmp')
+
+    await mkdirpAsync(this.dir)
+    await mkdirpAsync(this.tmpDir)
+    await fs.chmodAsync(this.dir, 0o700)
+
+    SECRETS(`secrets in ${this.dir}`)
+  }
+
+  filePath(uuid) {
+    return path.join(this.dir, `${uuid}.json`)
+  }
+
+  // values by name, nothing is kept if empty
+  async save(uuid, values) {
+
+    if (Object.keys(values).length === 0) return await this.remove(uuid)
+    await writeObjectAsync(this.filePath(uuid), this.tmpDir, values, 0o600)
+  }
+
+  // {} if none
+  async load(uuid) {
+
+    try {
+      return JSON.parse(await fs.readFileAsync(this.filePath(uuid)))
+    }
+    catch (e) {
+      if (e.code === 'ENOENT') return {}
+      throw e
+    }
+  }
+
+  async remove(uuid) {
+
+    try {
+      await fs.unlinkAsync(this.filePath(uuid))
+    }
+    catch (e) {
+      if (e.code !== 'ENOENT') throw e
+    }
+  }
+}
+
+export default new Secrets()
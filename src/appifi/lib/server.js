@@ -1,23 +1,36 @@
 import child from 'child_process'
+import { compare } from 'fast-json-patch'
 import Debug from 'debug'
 const SERVER = Debug('APPIFI:SERVER')
 
 import { storeState, storeSubscribe } from './reducers'
-import { calcRecipeKeyString } from './utility'
+import { calcRecipeKeyString, maskAppifiLabel } from './utility'
+import { HttpStatusError } from './error'
+import { assertPermitted, permittedOperations } from './permissions'
+import { maskParameterValues } from './parameters'
 import {
   daemonStart,
   daemonStop,
   daemonStartOp,
-  containerStart,
-  containerStop,
+  containerStartCommand,
+  containerStopCommand,
   containerDelete,
+  containerDeleteCommand,
+  managedContainers,
   installedStart,
   installedStop,
   appInstall,
-  appUninstall
+  appUninstall,
+  appUpgrade,
+  taskCancel,
+  taskRetry,
+  taskDismiss
 } from '../component/docker/docker'
 
-import { refreshAppstore } from '../component/appstore/appstore'
+import { refreshAppstore, addCatalog, updateCatalog, removeCatalog } from '../component/appstore/appstore'
+import { installedUpdates, checkUpdates } from '../component/docker/updates'
+import { updateDaemonConfig } from '../component/docker/daemonConfig'
+import { daemonConfigFacade } from '../component/docker/daemonConfigFacade'
 
 let status = 0
 
@@ -29,16 +42,24 @@ storeSubscribe(() => {
 const appstoreFacade = (appstore) => {
 
   if (appstore === null) return null
+
+  let catalogs = appstore.catalogs || []
   if (appstore.status === 'LOADING') 
-    return { status: 'LOADING' }
+    return { status: 'LOADING', catalogs }
 
   if (appstore.status === 'ERROR')
-    return { status: 'ERROR', code: appstore.code, message: appstore.message }
+    return { status: 'ERROR', code: appstore.code, message: appstore.message, catalogs }
 
-  let { recipes, repoMap } = appstore.result
+  // stale, served from cache, not yet (or failed to be) revalidated
+  let stale = appstore.stale === true
+  let invalids = appstore.invalids || []
+  let { recipes, repoMap, sources } = appstore.result
   if (!repoMap) {
     return {
       status: 'LOADED',
+      stale,
+      catalogs,
+      invalids,
       result: recipes
     }
   }
@@ -56,12 +77,17 @@ const appstoreFacade = (appstore) => {
       if (repo === undefined) repo = null
       components.push(Object.assign({}, compo, {repo}))
     })
-    appended.push(Object.assign({}, recipe, {components}))
+    // catalog uuid where the recipe comes from
+    let catalog = sources ? sources.get(recipe) : undefined
+    appended.push(Object.assign({}, recipe, {components, catalog}))
   }) 
 
   appended.forEach(recipe => recipe.key = calcRecipeKeyString(recipe)) 
   return {
     status: 'LOADED',
+    stale,
+    catalogs,
+    invalids,
     result: appended
   }
 }
@@ -70,10 +96,20 @@ const installedFacades = (installeds) => {
 
   if (!installeds) return null
 
-  let facade = installeds.map(inst => Object.assign({}, inst, {
-    container: undefined,
-    containerIds: inst.containers.map(c => c.Id) 
-  }))
+  let docker = storeState().docker
+  let imageDetails = docker && docker.data ? docker.data.imageDetails : []
+  let updates = storeState().updates
+
+  let facade = installeds.map(inst => {
+    let { updateAvailable, components } = installedUpdates(inst, imageDetails, updates)
+    return Object.assign({}, inst, {
+      container: undefined,
+      containerIds: inst.containers.map(c => c.Id),
+      values: maskParameterValues(inst.recipe, inst.values),
+      updateAvailable,
+      updates: components
+    })
+  })
 
   // remove containers property, dirty, is there a better way ??? TODO
   facade.forEach(f => f.containers = undefined)
@@ -87,9 +123,12 @@ const dockerFacade = (docker) => {
   let facade = {}
   // facade.pid = docker.pid
   facade.volume = docker.volume
+  facade.apiVersion = docker.apiVersion
   
   if (docker.data) {
     facade = Object.assign({}, facade, docker.data, { 
+      containers: docker.data.containers ? 
+        managedContainers(docker.data.containers).map(maskAppifiLabel) : docker.data.containers,
       installeds: installedFacades(docker.computed.installeds)
     })
   }
@@ -103,22 +142,38 @@ const tasksFacade = (tasks) => {
   return tasks.map(t => t.facade())
 }
 
-const facade = () => {
+// current user and permitted operations, so ui can hide disallowed buttons
+const userFacade = (user) => {
+
+  if (!user) return null
+  return {
+    uuid: user.uuid,
+    username: user.username,
+    role: user.role,
+    operations: permittedOperations(user)
+  }
+}
+
+const facade = (user) => {
 
   return {
     status,
+    user: userFacade(user),
     device: storeState().device,
     boot: storeState().boot,
     config: storeState().config,
     developer: storeState().developer,
     storage: storeState().storage,
     docker: dockerFacade(storeState().docker),
+    daemon: storeState().daemon,
+    daemonConfig: daemonConfigFacade(storeState().daemonConfig, user),
     appstore: appstoreFacade(storeState().appstore),
+    updates: storeState().updates ? { checkedAt: storeState().updates.checkedAt } : null,
     tasks: tasksFacade(storeState().tasks),
   } 
 }
   
-const operationAsync = async (req) => {
+const operationAsync = async (req, user) => {
 
   SERVER(`Operation: ${req.operation}`)
 
@@ -135,11 +190,14 @@ const operationAsync = async (req) => {
     case 'daemonStop':
       f = daemonStop
       break
+    case 'daemonConfigUpdate':
+      f = updateDaemonConfig
+      break
     case 'containerStart':
-      f = containerStart
+      f = containerStartCommand
       break
     case 'containerStop':
-      f = containerStop
+      f = containerStopCommand
       break
     case 'containerDelete':
       f = containerDeleteCommand
@@ -156,36 +214,113 @@ const operationAsync = async (req) => {
     case 'appUninstall':
       f = appUninstall
       break
+    case 'appUpgrade':
+      f = appUpgrade
+      break
+    case 'taskCancel':
+      f = taskCancel
+      break
+    case 'taskRetry':
+      f = taskRetry
+      break
+    case 'taskDismiss':
+      f = taskDismiss
+      break
     case 'appstoreRefresh':
       f = refreshAppstore
       break
+    case 'updatesCheck':
+      f = checkUpdates
+      break
+    case 'catalogAdd':
+      f = addCatalog
+      break
+    case 'catalogUpdate':
+      f = updateCatalog
+      break
+    case 'catalogRemove':
+      f = removeCatalog
+      break
 
     default:
       SERVER(`Operation not implemented, ${req.operation}`)
+      throw new HttpStatusError(400, `operation not implemented, ${req.operation}`)
     }
   }
 
   if (f) {
-    return await f(...args)
+    assertPermitted(user, req.operation)
+
+    let r = await f(...args)
+    // dockerApi returns error rather than throws
+    if (r instanceof Error) throw r
+    // tasks are returned as facade
+    return (r && typeof r.facade === 'function') ? r.facade() : r
   }
   
   return null
 }
 
+export { appstoreFacade, installedFacades, tasksFacade }
+
 export default {
 
   status: () => {
     return { status }
   },
 
-  get: () => {
-    let f = facade()
+  get: (user) => {
+    let f = facade(user)
     return f
   },
 
-  operation: (req, callback) => {
-    operationAsync(req)
-      .then(r => callback(null)) 
+  /*
+   * push facade to listener, the first time as a whole ('facade'), then as 
+   * json-patch diffs against the last pushed one ('patch'). Store updates are
+   * coalesced in one tick. Returns an unwatch function.
+   */
+  watch: (user, listener) => {
+
+    let last = null
+    let immediate = null
+    let closed = false
+
+    const push = () => {
+
+      immediate = null
+      // scheduled before unwatch
+      if (closed) return
+
+      // normalize via JSON, dropping undefined props and Maps
+      let next = JSON.parse(JSON.stringify(facade(user)))
+      if (last === null) 
+        listener('facade', next)
+      else {
+        let patch = compare(last, next)
+        if (patch.length) listener('patch', patch)
+      }
+      last = next
+    }
+
+    push()
+
+    let unsubscribe = storeSubscribe(() => {
+      if (immediate || closed) return
+      immediate = setImmediate(push)
+    })
+
+    return () => {
+      closed = true
+      if (immediate) clearImmediate(immediate)
+      immediate = null
+      last = null
+      unsubscribe()
+    }
+  },
+
+  operation: (req, user, callback) => {
+    operationAsync(req, user)
+      .then(r => callback(null, r)) 
       .catch(e => callback(e))
   }
 }
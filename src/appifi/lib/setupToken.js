@@ -0,0 +1,51 @@
+import fs from 'fs'
+import crypto from 'crypto'
+import Promise from 'bluebird'
+
+Promise.promisifyAll(fs)
+
+/*
+ * one-time token required to create the first admin while there is no user, so only
+ * someone with access to the box can claim it. Kept in file (owner only) across restarts
+ * until the first admin is created.
+ */
+class SetupToken {
+
+  constructor(filePath) {
+    this.filePath = filePath
+    this.token = null
+  }
+
+  async prepare() {
+
+    try {
+      this.token = (await fs.readFileAsync(this.filePath)).toString().trim()
+    }
+    catch (e) {
+      if (e.code !== 'ENOENT') throw e
+    }
+
+    if (!this.token) {
+      this.token = crypto.randomBytes(16).toString('hex')
+      await fs.writeFileAsync(this.filePath, `${this.token}\n`, { mode: 0o600 })
+    }
+  }
+
+  verify(token) {
+
+    if (!this.token || typeof token !== 'string') return false
+
+    let a = Buffer.from(this.token)
+    let b = Buffer.from(token.trim())
+    return a.length === b.length && crypto.timingSafeEqual(a, b)
+  }
+
+  // used up, throws if file not removed
+  async remove() {
+
+    this.token = null
+    await fs.unlinkAsync(this.filePath).catch(e => { if (e.code !== 'ENOENT') throw e })
+  }
+}
+
+export default SetupToken
@@ -0,0 +1,253 @@
+import path from 'path'
+import crypto from 'crypto'
+
+import UUID from 'node-uuid'
+import bcrypt from 'bcrypt'
+import jwt from 'jwt-simple'
+import Promise from 'bluebird'
+
+import Debug from 'debug'
+const USERS = Debug('APPIFI:USERS')
+
+import { fs, mkdirpAsync, writeObjectAsync } from '../../common/async'
+import { HttpStatusError } from './error'
+import { validRole } from './permissions'
+import SetupToken from './setupToken'
+
+Promise.promisifyAll(bcrypt)
+
+// login token life, in seconds
+const jwtLife = 24 * 60 * 60
+
+/*
+  users.json
+  {
+    secret: 'hex string',         // jwt signing secret
+    users: [
+      {
+        uuid,
+        username,
+        password,                 // bcrypt hash
+        role,                     // admin, operator or viewer
+        createdAt
+      }
+    ],
+    tokens: [                     // long-lived api tokens
+      {
+        uuid,
+        user,                     // user uuid
+        name,
+        createdAt
+      }
+    ]
+  }
+
+  login tokens are jwts with { uuid, exp }, api tokens are jwts with { uuid, token }
+  and no expiry, revoked by removing them from tokens list. users.json holds the secret,
+  it is readable by owner only.
+
+  while there is no user, setup-token file holds a one-time token required to create
+  the first admin, so only someone with access to the box can claim it.
+ */
+class Users {
+
+  constructor() {
+    this.filePath = null
+    this.tmpDir = null
+    this.setupToken = null
+    this.data = null
+  }
+
+  async init(dir) {
+
+    this.filePath = path.join(dir, 'users.json')
+    this.tmpDir = path.join(dir, 'tmp')
+    this.setupToken = new SetupToken(path.join(dir, 'setup-token'))
+
+    await mkdirpAsync(this.tmpDir)
+
+    try {
+      this.data = JSON.parse(await fs.readFileAsync(this.filePath))
+      // written with default permissions before
+      await fs.chmodAsync(this.filePath, 0o600)
+    }
+    catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.data = {
+        secret: crypto.randomBytes(32).toString('hex'),
+        users: [],
+        tokens: []
+      }
+      await this.save()
+    }
+
+    // users created before roles, the first one is admin
+    let migrated = this.data.users.filter(u => !u.role)
+    if (migrated.length) {
+      this.data.users.forEach((u, i) => u.role || (u.role = (i === 0 ? 'admin' : 'viewer')))
+      await this.save()
+    }
+
+    if (this.isEmpty()) await this.prepareSetupToken()
+
+    USERS(`${this.data.users.length} users loaded from ${this.filePath}`)
+  }
+
+  async save() {
+    await writeObjectAsync(this.filePath, this.tmpDir, this.data, 0o600)
+  }
+
+  // kept across restarts until the first admin is created
+  async prepareSetupToken() {
+
+    await this.setupToken.prepare()
+    USERS(`no user yet, setup token for the first admin is in ${this.setupToken.filePath}`)
+  }
+
+  // throws 403 ESETUPTOKEN if setup token missing or wrong
+  async createFirstAdmin(username, password, setupToken) {
+
+    if (!this.isEmpty()) throw new HttpStatusError(409, 'first admin already created')
+
+    if (!this.setupToken.verify(setupToken)) {
+      let e = new HttpStatusError(403, 'setup token required to create the first admin, see setup-token file on the device')
+      e.code = 'ESETUPTOKEN'
+      throw e
+    }
+
+    let user = await this.createUser(username, password, 'admin')
+
+    await this.setupToken.remove().catch(e => USERS(`remove setup token failed, ${e.message}`))
+    return user
+  }
+
+  get secret() {
+    return this.data.secret
+  }
+
+  isEmpty() {
+    return this.data.users.length === 0
+  }
+
+  findUser(uuid) {
+    return this.data.users.find(u => u.uuid === uuid)
+  }
+
+  findToken(uuid) {
+    return this.data.tokens.find(t => t.uuid === uuid)
+  }
+
+  // the first user is always admin
+  async createUser(username, password, role = 'viewer') {
+
+    if (typeof username !== 'string' || !/^[A-Za-z][A-Za-z0-9-_\.]{0,31}$/.test(username))
+      throw new HttpStatusError(400, 'invalid username')
+
+    if (typeof password !== 'string' || password.length === 0)
+      throw new HttpStatusError(400, 'invalid password')
+
+    if (!validRole(role))
+      throw new HttpStatusError(400, 'invalid role')
+
+    if (this.data.users.find(u => u.username === username))
+      throw new HttpStatusError(409, `user ${username} already exists`)
+
+    let user = {
+      uuid: UUID.v4(),
+      username,
+      password: await bcrypt.hashAsync(password, 10),
+      role: this.isEmpty() ? 'admin' : role,
+      createdAt: new Date().getTime()
+    }
+
+    this.data.users.push(user)
+    await this.save()
+
+    USERS(`user ${username} created`)
+    return user
+  }
+
+  async setRole(uuid, role) {
+
+    let user = this.findUser(uuid)
+    if (!user) throw new HttpStatusError(404, `user ${uuid} not found`)
+    if (!validRole(role)) throw new HttpStatusError(400, 'invalid role')
+
+    // there must be at least one admin
+    if (user.role === 'admin' && role !== 'admin' &&
+      this.data.users.filter(u => u.role === 'admin').length === 1)
+      throw new HttpStatusError(409, 'the last admin can not be demoted')
+
+    user.role = role
+    await this.save()
+    return user
+  }
+
+  // return user or null
+  async verifyPassword(username, password) {
+
+    let user = this.data.users.find(u => u.username === username)
+    if (!user || typeof password !== 'string') return null
+
+    let match = await bcrypt.compareAsync(password, user.password)
+    return match ? user : null
+  }
+
+  issueJwt(user) {
+
+    let exp = Math.floor(new Date().getTime() / 1000) + jwtLife
+    return jwt.encode({ uuid: user.uuid, exp }, this.secret)
+  }
+
+  async createApiToken(user, name) {
+
+    if (typeof name !== 'string' || name.length === 0)
+      throw new HttpStatusError(400, 'invalid token name')
+
+    let token = {
+      uuid: UUID.v4(),
+      user: user.uuid,
+      name,
+      createdAt: new Date().getTime()
+    }
+
+    this.data.tokens.push(token)
+    await this.save()
+
+    // the only chance to see the token
+    return Object.assign({}, token, {
+      token: jwt.encode({ uuid: user.uuid, token: token.uuid }, this.secret)
+    })
+  }
+
+  listApiTokens(user) {
+    return this.data.tokens.filter(t => t.user === user.uuid)
+  }
+
+  async revokeApiToken(user, uuid) {
+
+    let index = this.data.tokens.findIndex(t => t.uuid === uuid && t.user === user.uuid)
+    if (index === -1) throw new HttpStatusError(404, `token ${uuid} not found`)
+
+    this.data.tokens.splice(index, 1)
+    await this.save()
+  }
+
+  // never expose password hash
+  userFacade(user) {
+    return {
+      uuid: user.uuid,
+      username: user.username,
+      role: user.role,
+      createdAt: user.createdAt
+    }
+  }
+
+  usersFacade() {
+    return this.data.users.map(u => this.userFacade(u))
+  }
+}
+
+let users = new Users()
+
+export default users
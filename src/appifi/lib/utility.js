@@ -14,7 +14,9 @@
   a container label object format
   {
     uuid: uuid // installation instance
-    recipe
+    recipe     // unresolved, with parameter placeholders
+    values     // parameter values chosen on install, secrets masked
+    ports      // allocated host port mappings
   }
 
   recipe format
@@ -27,32 +29,54 @@
 import validator from 'validator'
 import nodeUUID from 'node-uuid'
 import stringify from 'canonical-json'
+import Ajv from 'ajv'
 
-const textMatch = (text) => {
-  return  /^[A-Za-z][A-Za-z0-9-_+\.]*$/.test(text)
-}
+import Debug from 'debug'
+const UTILITY = Debug('APPIFI:UTILITY')
+
+import recipeSchemas from './recipeSchema'
+import { maskParameterValues } from './parameters'
+
+const ajv = new Ajv({ allErrors: true })
+const recipeValidators = Object.keys(recipeSchemas).reduce((validators, version) => 
+  Object.assign(validators, { [version]: ajv.compile(recipeSchemas[version]) }), {})
 
-const validateRecipe = (recipe) => {
+// return a list of human-readable errors, empty if valid
+const recipeErrors = (recipe) => {
 
-  if (!recipe) return false
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) 
+    return ['recipe should be an object']
 
-  if (!recipe.appname || !textMatch(recipe.appname)) return false
-  if (!recipe.components || 
-      !Array.isArray(recipe.components) || 
-      recipe.components.length === 0) return false
+  let version = recipe.schemaVersion === undefined ? 1 : recipe.schemaVersion
+  let validate = recipeValidators[version]
+  if (!validate) return [`unsupported recipe schemaVersion ${version}`]
 
-  recipe.components.forEach(compo => {
-    if (!compo.name || !textMatch(compo.name)) return false
-    if (!compo.namespace || !textMatch(compo.namespace)) return false
-    if (!compo.tag || !textMatch(compo.tag)) return false
-    if (typeof compo.configOverlay !== 'boolean') return false
-    if (typeof compo.config !== 'object') return false
-    if (typeof compo.repo !== 'null') return false
-  })
+  // additional properties are allowed, but parameters must not be taken from version 1
+  if (version === 1 && recipe.parameters !== undefined) 
+    return ['recipe parameters require schemaVersion 2']
 
-  return true
+  if (validate(recipe)) return []
+  return validate.errors.map(e => `recipe${e.dataPath} ${e.message}`)
 }
 
+const validateRecipe = (recipe) => recipeErrors(recipe).length === 0
+
+// split a list of recipes into valid ones and invalid ones with reasons
+const partitionRecipes = (list) => list.reduce((acc, recipe, index) => {
+
+  let errors = recipeErrors(recipe)
+  if (errors.length === 0) 
+    acc.recipes.push(recipe)
+  else
+    acc.invalids.push({
+      index,
+      appname: (recipe && typeof recipe.appname === 'string') ? recipe.appname : null,
+      errors
+    })
+
+  return acc
+}, { recipes: [], invalids: [] })
+
 // extract key object from recipe or app object (ducktype)
 const calcRecipeKeyString = (recipe) => {
 
@@ -83,19 +107,20 @@ const splitRecipeKeyString = (text) => {
   }  
 }
 
-const composeJsonLabel = (uuid, recipe) => {
+// secret values are masked, the real ones are kept in secrets store
+const composeJsonLabel = (uuid, recipe, values = {}, ports = []) => {
   
   if (!uuid || !validator.isUUID(uuid)) return null
   if (!validateRecipe(recipe)) return null
 
   let version = '1.0'
-  return stringify({version, uuid, recipe})  
+  return stringify({version, uuid, recipe, values: maskParameterValues(recipe, values), ports})  
 }
 
-const installAppifiLabel = (labels, uuid, recipe) => {
+const installAppifiLabel = (labels, uuid, recipe, values, ports) => {
   
   if (!labels) return
-  labels[APPIFI_KEY] = composeJsonLabel(uuid, recipe)
+  labels[APPIFI_KEY] = composeJsonLabel(uuid, recipe, values, ports)
 }
 
 const uncomposeJsonLabel = (json) => {
@@ -106,11 +131,16 @@ const uncomposeJsonLabel = (json) => {
   let sig = JSON.parse(json)
   if (!sig) return null
 
-  // TODO validate version string
+  if (sig.version !== '1.0') return null
  
   // ! important validator throws ReferenceError for undefined 
   if (!sig.uuid || !validator.isUUID(sig.uuid)) return null
-  if (!validateRecipe(sig.recipe)) return null
+
+  let errors = recipeErrors(sig.recipe)
+  if (errors.length) {
+    UTILITY(`label ${sig.uuid} has invalid recipe: ${errors.join(', ')}`)
+    return null
+  }
 
   return sig 
 }
@@ -127,7 +157,9 @@ const uncomposeJsonLabel = (json) => {
             uuid: xxxx, // uuid
             recipe: {   // a valid recipe
               ...       
-            }
+            },
+            values: {}, // parameter values, missing in labels of older version
+            ports: []   // host port mappings, ditto
           },
           container: xxxx, // reference to container
         },
@@ -159,10 +191,13 @@ const groupContainersByUUID = (containers) => {
   return groups
 }
 
+const componentImage = ({ namespace, name, tag }) => `${namespace}/${name}:${tag}`
+
+// containers created by older versions have untagged image
 const containerMatchComponent = (container, component) => {
 
-  let {name, namespace, tag} = component
-  return (container.Image === `${namespace}/${name}`)
+  let {name, namespace} = component
+  return container.Image === componentImage(component) || container.Image === `${namespace}/${name}`
 }
 
 const containersMatchComponents = (group) => {
@@ -187,17 +222,36 @@ const containerGroupToApp = (group) => {
   let recipeKeyString = calcRecipeKeyString(recipe)
   let uuid = group.uuid
   let sigVersion = group.pairs[0].sig.version
+  let values = group.pairs[0].sig.values || {}
+  let ports = group.pairs[0].sig.ports || []
   let match = group.match
 
   let containers = group.pairs.map(pair => pair.container)
 
-  return { recipe, recipeKeyString, uuid, sigVersion, match, containers }
+  return { recipe, recipeKeyString, uuid, sigVersion, values, ports, match, containers }
 }
 
 const appMainContainer = (app) => {
   
-  let {name, namespace, tag} = app.recipe.components[0]  
-  return app.containers.find(c => c.Image === `${namespace}/${name}`)
+  return app.containers.find(c => containerMatchComponent(c, app.recipe.components[0]))
+}
+
+/*
+ * container for facade, labels of older version have secret values in clear. They
+ * are masked, an appifi label not understood is dropped.
+ */
+const maskAppifiLabel = (container) => {
+
+  if (!container.Labels || container.Labels[APPIFI_KEY] === undefined) return container
+
+  let labels = Object.assign({}, container.Labels)
+  let sig = uncomposeJsonLabel(labels[APPIFI_KEY])
+  if (sig)
+    labels[APPIFI_KEY] = stringify(Object.assign({}, sig, { values: maskParameterValues(sig.recipe, sig.values) }))
+  else
+    delete labels[APPIFI_KEY]
+
+  return Object.assign({}, container, { Labels: labels })
 }
 
 const containersToApps = (containers) => {
@@ -210,12 +264,17 @@ const containersToApps = (containers) => {
 export const APPIFI_KEY = 'appifi-signature'
 
 export {
+  recipeErrors,
   validateRecipe,
+  partitionRecipes,
   calcRecipeKeyString,
   splitRecipeKeyString,
   composeJsonLabel,
   installAppifiLabel,
   uncomposeJsonLabel,
+  maskAppifiLabel,
+  componentImage,
+  containerMatchComponent,
   appMainContainer,
   containersToApps
 }
\ No newline at end of file
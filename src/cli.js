@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/*
+ * dockermarket command line tool
+ *
+ *   dockermarket recipe lint [--images <dir>] <file|dir> ...
+ *
+ * files are recipe json files, each being a recipe or an array of recipes (like
+ * recipe/release.json), dirs are searched for *.json. all recipes are linted as
+ * a single catalog. exits 1 if any problem found, 2 on usage or read error.
+ */
+
+import path from 'path'
+import fs from 'fs'
+
+import { lintRecipes } from './appifi/lib/lint'
+
+const defaultImagesDir = path.join(__dirname, '..', 'images')
+
+const usage = () => {
+  console.error('usage: dockermarket recipe lint [--images <dir>] <file|dir> ...')
+  process.exit(2)
+}
+
+const expandFiles = (target) => fs.statSync(target).isDirectory() ?
+  fs.readdirSync(target)
+    .filter(entry => entry.endsWith('.json'))
+    .sort()
+    .map(entry => path.join(target, entry)) :
+  [target]
+
+// return list of { file, recipe }
+const loadRecipes = (targets) => targets
+  .reduce((files, target) => [...files, ...expandFiles(target)], [])
+  .reduce((acc, file) => {
+    let parsed = JSON.parse(fs.readFileSync(file))
+    let list = Array.isArray(parsed) ? parsed : [parsed]
+    return [...acc, ...list.map(recipe => ({ file, recipe }))]
+  }, [])
+
+const lint = (args) => {
+
+  let imagesDir = defaultImagesDir
+  let targets = []
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--images') {
+      if (++i === args.length) usage()
+      imagesDir = args[i]
+    }
+    else
+      targets.push(args[i])
+  }
+
+  if (targets.length === 0) usage()
+
+  let loaded
+  try {
+    loaded = loadRecipes(targets)
+  }
+  catch (e) {
+    console.error(`error: ${e.message}`)
+    process.exit(2)
+  }
+
+  let problems = lintRecipes(loaded.map(l => l.recipe), imagesDir)
+
+  problems.forEach(p => {
+    let { file } = loaded[p.index]
+    console.log(`${file}: #${p.index} ${p.appname || '(no appname)'}: ${p.message}`)
+  })
+
+  let count = new Set(problems.map(p => p.index)).size
+  console.log(`${loaded.length} recipes, ${count} with problems, ${problems.length} problems`)
+  process.exit(problems.length ? 1 : 0)
+}
+
+const main = (argv) => {
+
+  let [group, command, ...args] = argv
+  if (group === 'recipe' && command === 'lint') return lint(args)
+  usage()
+}
+
+main(process.argv.slice(2))
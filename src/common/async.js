@@ -18,7 +18,13 @@ export const rimrafAsync = Promise.promisify(rimraf)
 
 export { fs, child, xattr, mkdirp, rimraf }
 
-const writeObject = (target, tmpdir, obj, callback) => {
+// mode is optional, e.g. 0o600 for secrets
+const writeObject = (target, tmpdir, obj, mode, callback) => {
+
+  if (typeof mode === 'function') {
+    callback = mode
+    mode = undefined
+  }
 
   let buf, err, os, tmp
 
@@ -31,7 +37,7 @@ const writeObject = (target, tmpdir, obj, callback) => {
   }
 
   let tmpPath = path.join(tmpdir, UUID.v4())
-  os = fs.createWriteStream(tmpPath)
+  os = fs.createWriteStream(tmpPath, mode === undefined ? {} : { mode })
   os.on('error', e => callback(err = e))
   os.on('close', () => err || fs.rename(tmpPath, target, err => callback(err)))
   os.write(buf)
@@ -0,0 +1,72 @@
+import { expect } from 'chai'
+
+import { containerCreateBody } from '../../../../src/appifi/component/docker/containerBody'
+import { 
+  installAppifiLabel, 
+  containersToApps, 
+  appMainContainer, 
+  containerMatchComponent 
+} from '../../../../src/appifi/lib/utility'
+
+const uuid = '2d5ffa8c-53ed-4d53-b4e7-2ad1e1ba8f43'
+
+const recipe = (tag) => ({
+  appname: 'demo',
+  flavor: 'vanilla',
+  components: [
+    {
+      name: 'demo',
+      namespace: 'library',
+      tag,
+      repo: null,
+      overlay: true,
+      config: { HostConfig: { Binds: ['/data:/data'] } },
+      volumes: []
+    }
+  ]
+})
+
+// container as listed by docker, created with body
+const create = (id, recipe) => {
+  let body = containerCreateBody(recipe.components[0], '/appdata', `docker.io:library:demo:${recipe.components[0].tag}:vanilla`, [])
+  installAppifiLabel(body.Labels, uuid, recipe, {}, [])
+  return { Id: id, Image: body.Image, Labels: body.Labels }
+}
+
+describe('containerBody', () => {
+
+  it('creates container from the tag of component', () => {
+    let body = containerCreateBody(recipe('1.0').components[0], '/appdata', 'docker.io:library:demo:1.0:vanilla', [])
+    expect(body.Image).to.equal('library/demo:1.0')
+    expect(body.HostConfig.Binds).to.deep.equal(['/appdata/docker.io/library/demo/1.0/vanilla/data:/data'])
+  })
+
+  describe('upgrade with tag change', () => {
+
+    let from = recipe('1.0')
+    let to = recipe('2.0')
+
+    it('recreates containers from the new tag', () => {
+
+      let [app] = containersToApps([create('new', to)])
+      expect(app.containers[0].Image).to.equal('library/demo:2.0')
+      expect(app.match).to.be.true
+      expect(appMainContainer(app).Id).to.equal('new')
+    })
+
+    it('does not take a container of the previous tag for the new one', () => {
+
+      let old = create('old', from)
+      expect(containerMatchComponent(old, from.components[0])).to.be.true
+      expect(containerMatchComponent(old, to.components[0])).to.be.false
+    })
+
+    it('still matches an untagged container created by older versions', () => {
+
+      let old = Object.assign(create('old', from), { Image: 'library/demo' })
+      let [app] = containersToApps([old])
+      expect(app.match).to.be.true
+      expect(appMainContainer(app).Id).to.equal('old')
+    })
+  })
+})
@@ -0,0 +1,147 @@
+import net from 'net'
+import { expect } from 'chai'
+
+import { 
+  usedHostPorts, 
+  allocatePorts, 
+  applyPortMappings 
+} from '../../../../src/appifi/component/docker/ports'
+
+// ports in pool and requested ones are kept apart from common services
+const pool = '47100-47104'
+
+const component = (name, bindings) => ({ 
+  name, 
+  config: { HostConfig: { PortBindings: bindings } } 
+})
+
+const listen = (port) => new Promise((resolve, reject) => {
+  let server = net.createServer()
+  server.once('error', reject)
+  server.listen(port, () => resolve(server))
+})
+
+const close = (server) => new Promise(resolve => server.close(resolve))
+
+const rejected = async (promise) => {
+  try {
+    await promise
+  }
+  catch (e) {
+    return e
+  }
+  throw new Error('expected to reject')
+}
+
+describe('ports', () => {
+
+  beforeEach(() => process.env.APPIFI_PORT_POOL = pool)
+  afterEach(() => delete process.env.APPIFI_PORT_POOL)
+
+  describe('usedHostPorts', () => {
+
+    it('collects published, recorded and reserved ports', () => {
+
+      let containers = [{ Ports: [{ PrivatePort: 80, PublicPort: 8080, Type: 'tcp' }, { PrivatePort: 53, Type: 'udp' }] }]
+      let installeds = [{ ports: [{ containerPort: '53/udp', hostPort: '5353' }] }]
+      let tasks = [
+        { status: 'started', ports: [{ containerPort: '80/tcp', hostPort: '9000' }] },
+        { status: 'stopped', ports: [{ containerPort: '80/tcp', hostPort: '9001' }] }
+      ]
+
+      let used = usedHostPorts(containers, installeds, tasks)
+      expect([...used].sort()).to.deep.equal(['5353/udp', '8080/tcp', '9000/tcp'])
+    })
+  })
+
+  describe('allocatePorts', () => {
+
+    it('keeps a free requested port', async () => {
+      let mappings = await allocatePorts([component('web', { '80/tcp': [{ HostPort: '47200' }] })], new Set())
+      expect(mappings).to.deep.equal([{ component: 'web', containerPort: '80/tcp', requested: '47200', hostPort: '47200' }])
+    })
+
+    it('assigns from pool a port used by another app', async () => {
+      let mappings = await allocatePorts(
+        [component('web', { '80/tcp': [{ HostPort: '47200' }] })], 
+        new Set(['47200/tcp']))
+      expect(mappings[0].requested).to.equal('47200')
+      expect(mappings[0].hostPort).to.equal('47100')
+    })
+
+    it('rejects a used port with 409 offering a free one, if not auto assigning', async () => {
+      let e = await rejected(allocatePorts(
+        [component('web', { '80/tcp': [{ HostPort: '47200' }] })], 
+        new Set(['47200/tcp']), 
+        false))
+      expect(e.statusCode).to.equal(409)
+      expect(e.message).to.contain('47200/tcp (try 47100)')
+    })
+
+    it('does not hand out the same port twice in one install', async () => {
+      let mappings = await allocatePorts([
+        component('web', { '80/tcp': [{ HostPort: '47200' }] }),
+        component('api', { '8080/tcp': [{ HostPort: '47200' }], '9090/tcp': [{ HostPort: '' }] })
+      ], new Set(['47100/tcp']))
+
+      expect(mappings.map(m => m.hostPort)).to.deep.equal(['47200', '47101', '47102'])
+    })
+
+    it('skips ports bound by other processes on host', async () => {
+      let server = await listen(47100)
+      try {
+        let mappings = await allocatePorts([component('web', { '80/tcp': [{}] })], new Set())
+        expect(mappings[0]).to.deep.equal({ component: 'web', containerPort: '80/tcp', requested: '', hostPort: '47101' })
+      }
+      finally {
+        await close(server)
+      }
+    })
+
+    it('keeps ports owned by the app being upgraded', async () => {
+      let server = await listen(47201)
+      try {
+        let mappings = await allocatePorts(
+          [component('web', { '80/tcp': [{ HostPort: '47201' }] })], 
+          new Set(), 
+          true, 
+          new Set(['47201/tcp']))
+        expect(mappings[0].hostPort).to.equal('47201')
+      }
+      finally {
+        await close(server)
+      }
+    })
+
+    it('tells protocols apart', async () => {
+      let mappings = await allocatePorts(
+        [component('dns', { '53/udp': [{ HostPort: '47202' }] })], 
+        new Set(['47202/tcp']))
+      expect(mappings[0].hostPort).to.equal('47202')
+    })
+
+    it('rejects with 503 if pool is exhausted', async () => {
+      process.env.APPIFI_PORT_POOL = '47100-47101'
+      let e = await rejected(allocatePorts(
+        [component('web', { '80/tcp': [{}] })], 
+        new Set(['47100/tcp', '47101/tcp'])))
+      expect(e.statusCode).to.equal(503)
+    })
+  })
+
+  describe('applyPortMappings', () => {
+
+    it('replaces host ports of the component in order', () => {
+      let bindings = { '80/tcp': [{ HostIp: '0.0.0.0', HostPort: '80' }, { HostPort: '' }] }
+      let mappings = [
+        { component: 'web', containerPort: '80/tcp', hostPort: '47100' },
+        { component: 'web', containerPort: '80/tcp', hostPort: '47101' },
+        { component: 'api', containerPort: '80/tcp', hostPort: '47102' }
+      ]
+      expect(applyPortMappings({ name: 'web' }, bindings, mappings)).to.deep.equal({
+        '80/tcp': [{ HostIp: '0.0.0.0', HostPort: '47100' }, { HostPort: '47101' }]
+      })
+      expect(bindings['80/tcp'][0].HostPort).to.equal('80')
+    })
+  })
+})
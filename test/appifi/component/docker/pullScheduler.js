@@ -0,0 +1,205 @@
+import EventEmitter from 'events'
+import { expect } from 'chai'
+
+import { PullScheduler } from '../../../../src/appifi/component/docker/pullScheduler'
+
+// pullImage stub, each call connects or fails when told
+const stubPull = () => {
+
+  let calls = []
+  let pull = (name, tag, callback) => {
+
+    let agent = new EventEmitter()
+    agent.aborted = false
+    agent.abort = () => agent.aborted = true
+
+    calls.push({
+      key: `${name}:${tag}`,
+      agent,
+      connect: () => callback(null, agent),
+      fail: (errno, message) => callback(Object.assign(new Error(message), { errno }))
+    })
+  }
+
+  return { calls, pull }
+}
+
+const stubTask = () => ({
+  events: [],
+  pullStarted() { this.events.push('started') },
+  pullUpdate(state) { this.events.push(['update', state]) },
+  pullEnd(errno, message) { this.events.push(['end', errno]) }
+})
+
+const ends = (task) => task.events.filter(e => e[0] === 'end')
+
+describe('pullScheduler', () => {
+
+  let stub, scheduler
+
+  beforeEach(() => {
+    process.env.APPIFI_MAX_PULLS = '2'
+    stub = stubPull()
+    scheduler = new PullScheduler(stub.pull)
+  })
+
+  afterEach(() => delete process.env.APPIFI_MAX_PULLS)
+
+  it('starts at most APPIFI_MAX_PULLS pulls, others queued in order', () => {
+
+    let [a, b, c, d] = [stubTask(), stubTask(), stubTask(), stubTask()]
+    scheduler.enqueue(a, 'a', 'latest')
+    scheduler.enqueue(b, 'b', 'latest')
+    scheduler.enqueue(c, 'c', 'latest')
+    scheduler.enqueue(d, 'd', 'latest')
+
+    expect(stub.calls.map(c => c.key)).to.deep.equal(['a:latest', 'b:latest'])
+    expect(a.events).to.deep.equal(['started'])
+    expect(c.events).to.deep.equal([])
+    expect([a, b, c, d].map(t => scheduler.position(t))).to.deep.equal([0, 0, 1, 2])
+
+    stub.calls[0].connect()
+    stub.calls[0].agent.emit('close')
+
+    expect(a.events).to.deep.equal(['started', ['end', 0]])
+    expect(stub.calls.map(c => c.key)).to.deep.equal(['a:latest', 'b:latest', 'c:latest'])
+    expect(c.events).to.deep.equal(['started'])
+    expect(scheduler.position(d)).to.equal(1)
+  })
+
+  it('shares one pull among tasks of the same name:tag', () => {
+
+    let [t1, t2, t3] = [stubTask(), stubTask(), stubTask()]
+    scheduler.enqueue(t1, 'x', '1')
+    scheduler.enqueue(t2, 'x', '1')
+
+    expect(stub.calls.length).to.equal(1)
+    expect(t2.events).to.deep.equal(['started'])
+
+    stub.calls[0].connect()
+    stub.calls[0].agent.emit('update', { layers: 1 })
+    expect(t1.events[1]).to.deep.equal(['update', { layers: 1 }])
+    expect(t2.events[1]).to.deep.equal(['update', { layers: 1 }])
+
+    // joining a started pull gets its last state
+    scheduler.enqueue(t3, 'x', '1')
+    expect(stub.calls.length).to.equal(1)
+    expect(t3.events).to.deep.equal(['started', ['update', { layers: 1 }]])
+
+    stub.calls[0].agent.emit('close')
+    for (let t of [t1, t2, t3]) expect(ends(t)).to.deep.equal([['end', 0]])
+  })
+
+  it('shares a queued pull without starting another', () => {
+
+    let [a, b, c1, c2] = [stubTask(), stubTask(), stubTask(), stubTask()]
+    scheduler.enqueue(a, 'a', 'latest')
+    scheduler.enqueue(b, 'b', 'latest')
+    scheduler.enqueue(c1, 'c', 'latest')
+    scheduler.enqueue(c2, 'c', 'latest')
+
+    expect(scheduler.position(c2)).to.equal(1)
+
+    stub.calls[0].fail('EHTTPSTATUS', 'not found')
+    expect(stub.calls.filter(c => c.key === 'c:latest').length).to.equal(1)
+    expect(c1.events).to.deep.equal(['started'])
+    expect(c2.events).to.deep.equal(['started'])
+  })
+
+  it('dequeues a queued pull cancelled by its only task', () => {
+
+    let [a, b, c, d] = [stubTask(), stubTask(), stubTask(), stubTask()]
+    scheduler.enqueue(a, 'a', 'latest')
+    scheduler.enqueue(b, 'b', 'latest')
+    scheduler.enqueue(c, 'c', 'latest')
+    scheduler.enqueue(d, 'd', 'latest')
+
+    scheduler.cancel(c)
+    expect(c.events).to.deep.equal([['end', 'ECONNABORTED']])
+    expect(scheduler.position(d)).to.equal(1)
+
+    stub.calls[0].connect()
+    stub.calls[0].agent.emit('close')
+    expect(stub.calls.map(c => c.key)).to.deep.equal(['a:latest', 'b:latest', 'd:latest'])
+  })
+
+  it('keeps a shared pull running when one task cancels', () => {
+
+    let [t1, t2] = [stubTask(), stubTask()]
+    scheduler.enqueue(t1, 'x', '1')
+    scheduler.enqueue(t2, 'x', '1')
+    stub.calls[0].connect()
+
+    scheduler.cancel(t1)
+    expect(ends(t1)).to.deep.equal([['end', 'ECONNABORTED']])
+    expect(stub.calls[0].agent.aborted).to.be.false
+
+    stub.calls[0].agent.emit('update', { layers: 2 })
+    stub.calls[0].agent.emit('close')
+    expect(t1.events.length).to.equal(2)
+    expect(t2.events).to.deep.equal(['started', ['update', { layers: 2 }], ['end', 0]])
+  })
+
+  it('aborts a started pull when the last task cancels, then starts the next', () => {
+
+    let [a, b, c] = [stubTask(), stubTask(), stubTask()]
+    scheduler.enqueue(a, 'a', 'latest')
+    scheduler.enqueue(b, 'b', 'latest')
+    scheduler.enqueue(c, 'c', 'latest')
+    stub.calls[0].connect()
+
+    scheduler.cancel(a)
+    expect(stub.calls[0].agent.aborted).to.be.true
+    // slot is held until the aborted pull closes
+    expect(stub.calls.length).to.equal(2)
+
+    stub.calls[0].agent.emit('close')
+    expect(ends(a)).to.deep.equal([['end', 'ECONNABORTED']])
+    expect(stub.calls.map(c => c.key)).to.deep.equal(['a:latest', 'b:latest', 'c:latest'])
+  })
+
+  it('aborts a pull cancelled before it is connected', () => {
+
+    let t = stubTask()
+    scheduler.enqueue(t, 'x', '1')
+    scheduler.cancel(t)
+    expect(stub.calls[0].agent.aborted).to.be.false
+
+    stub.calls[0].connect()
+    expect(stub.calls[0].agent.aborted).to.be.true
+  })
+
+  it('starts a new pull for a task requesting an image being aborted', () => {
+
+    let [t1, t2] = [stubTask(), stubTask()]
+    scheduler.enqueue(t1, 'x', '1')
+    stub.calls[0].connect()
+    scheduler.cancel(t1)
+
+    scheduler.enqueue(t2, 'x', '1')
+    expect(stub.calls.map(c => c.key)).to.deep.equal(['x:1', 'x:1'])
+    expect(t2.events).to.deep.equal(['started'])
+
+    // the aborted one ends without touching the new task
+    stub.calls[0].agent.emit('close')
+    expect(ends(t2)).to.deep.equal([])
+  })
+
+  it('ends all tasks with errno when pull fails', () => {
+
+    let [t1, t2] = [stubTask(), stubTask()]
+    scheduler.enqueue(t1, 'x', '1')
+    scheduler.enqueue(t2, 'x', '1')
+
+    stub.calls[0].fail('EHTTPSTATUS', 'not found')
+    expect(ends(t1)).to.deep.equal([['end', 'EHTTPSTATUS']])
+    expect(ends(t2)).to.deep.equal([['end', 'EHTTPSTATUS']])
+    expect(scheduler.pulls).to.deep.equal([])
+  })
+
+  it('ignores cancel of a task without pull', () => {
+    let t = stubTask()
+    scheduler.cancel(t)
+    expect(t.events).to.deep.equal([])
+  })
+})
@@ -0,0 +1,81 @@
+import os from 'os'
+import fs from 'fs'
+import path from 'path'
+import { expect } from 'chai'
+
+import { Supervisor } from '../../../../src/appifi/component/docker/supervisor'
+
+// resolves when state matches
+const until = (supervisor, match) => new Promise(resolve => {
+  let timer = setInterval(() => {
+    if (!match(supervisor.state)) return
+    clearInterval(timer)
+    resolve(supervisor.state)
+  }, 20)
+})
+
+describe('supervisor', function () {
+
+  this.timeout(10000)
+
+  let dir, logPath, supervisor
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appifi-supervisor-'))
+    logPath = path.join(dir, 'docker.log')
+  })
+
+  afterEach(async () => {
+    await supervisor.stop()
+    fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)))
+    fs.rmdirSync(dir)
+  })
+
+  it('fails if daemon can not be spawned', async () => {
+
+    supervisor = new Supervisor(1)
+    supervisor.start(['/nonexistent/dockerd'], logPath, async () => {})
+
+    let state = await until(supervisor, s => s.status === 'failed')
+    expect(state.failure.reason).to.contain('ENOENT')
+    expect(supervisor.isSupervising()).to.be.false
+    expect(supervisor.failed()).to.be.true
+  })
+
+  it('is running once healthy', async () => {
+
+    supervisor = new Supervisor(2)
+    let healthy = new Promise(resolve => supervisor.once('healthy', resolve))
+    supervisor.start(['sleep', '30'], logPath, async () => {})
+
+    await healthy
+    expect(supervisor.state.status).to.equal('running')
+    expect(supervisor.state.failure).to.be.null
+  })
+
+  it('stops a daemon not healthy in time and fails', async () => {
+
+    supervisor = new Supervisor(1)
+    supervisor.start(['sleep', '30'], logPath, async () => { throw new Error('not yet') })
+    let pid = (await until(supervisor, s => s.pid !== null)).pid
+
+    let state = await until(supervisor, s => s.status === 'failed')
+    expect(state.failure.reason).to.equal('daemon not healthy after 1 seconds')
+    expect(state.pid).to.be.null
+    expect(() => process.kill(pid, 0)).to.throw()
+  })
+
+  it('clears failure on stop, starts again', async () => {
+
+    supervisor = new Supervisor(1)
+    supervisor.start(['/nonexistent/dockerd'], logPath, async () => {})
+    await until(supervisor, s => s.status === 'failed')
+
+    await supervisor.stop()
+    expect(supervisor.state.status).to.equal('stopped')
+    expect(supervisor.state.failure).to.be.null
+
+    supervisor.start(['sleep', '30'], logPath, async () => {})
+    await until(supervisor, s => s.status === 'running')
+  })
+})
@@ -0,0 +1,131 @@
+import http from 'http'
+import { expect } from 'chai'
+
+import { Updates } from '../../../../src/appifi/component/docker/updates'
+import { storeState, storeDispatch } from '../../../../src/appifi/lib/reducers'
+
+const installed = (tag) => ({ 
+  recipe: { components: [{ namespace: 'library', name: 'demo', tag }] }, 
+  containers: [] 
+})
+
+const install = (...tags) => {
+  storeDispatch({ type: 'DAEMON_START', data: { volume: null, events: null, apiVersion: null } })
+  storeDispatch({ type: 'DOCKER_UPDATE', data: { computed: { installeds: tags.map(installed) } } })
+}
+
+/*
+ * registry stand-in, manifests of library/demo by tag, behind token auth if token given.
+ * delay (ms) holds responses.
+ */
+const registry = (manifests, options = {}) => new Promise(resolve => {
+
+  let server = http.createServer((req, res) => {
+
+    server.requests.push(req.url)
+    if (req.url.startsWith('/token')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify({ token: options.token }))
+    }
+
+    let auth = `Bearer ${options.token}`
+    if (options.token && req.headers.authorization !== auth) {
+      res.writeHead(401, { 
+        'Www-Authenticate': `Bearer realm="http://127.0.0.1:${server.address().port}/token",service="test"` 
+      })
+      return res.end()
+    }
+
+    let tag = req.url.split('/manifests/')[1]
+    setTimeout(() => {
+      if (!manifests[tag]) {
+        res.writeHead(404)
+        return res.end()
+      }
+      res.writeHead(200, { 'Docker-Content-Digest': manifests[tag] })
+      res.end()
+    }, options.delay || 0)
+  })
+
+  server.requests = []
+  server.listen(0, '127.0.0.1', () => {
+    process.env.APPIFI_REGISTRY_URL = `http://127.0.0.1:${server.address().port}`
+    resolve(server)
+  })
+})
+
+describe('updates', () => {
+
+  let server
+
+  afterEach(done => {
+    delete process.env.APPIFI_REGISTRY_URL
+    storeDispatch({ type: 'DAEMON_STOP' })
+    storeDispatch({ type: 'UPDATES_UPDATE', data: null })
+    server.close(() => done())
+  })
+
+  it('resolves remote digests of installed tags', async () => {
+
+    server = await registry({ '1.0': 'sha256:aaa', '2.0': 'sha256:bbb' })
+    install('1.0', '2.0')
+
+    await new Updates().check()
+    let digests = storeState().updates.digests
+    expect(digests['library/demo:1.0'].digest).to.equal('sha256:aaa')
+    expect(digests['library/demo:2.0'].digest).to.equal('sha256:bbb')
+    expect(digests['library/demo:2.0'].error).to.be.null
+  })
+
+  it('gets a token when challenged', async () => {
+
+    server = await registry({ '1.0': 'sha256:aaa' }, { token: 'secret' })
+    install('1.0')
+
+    await new Updates().check()
+    expect(storeState().updates.digests['library/demo:1.0'].digest).to.equal('sha256:aaa')
+    expect(server.requests.some(url => url.startsWith('/token?'))).to.be.true
+  })
+
+  it('keeps last known digest if resolving fails', async () => {
+
+    server = await registry({})
+    install('1.0')
+    storeDispatch({ 
+      type: 'UPDATES_UPDATE', 
+      data: { checkedAt: 0, digests: { 'library/demo:1.0': { digest: 'sha256:aaa', checkedAt: 0, error: null } } } 
+    })
+
+    let updates = new Updates()
+    await updates.check()
+    let entry = storeState().updates.digests['library/demo:1.0']
+    expect(entry.digest).to.equal('sha256:aaa')
+    expect(entry.error).to.be.a('string')
+    expect(updates.checking).to.be.null
+  })
+
+  it('lets a check requested meanwhile wait for the one in flight', async () => {
+
+    server = await registry({ '1.0': 'sha256:aaa' }, { delay: 50 })
+    install('1.0')
+
+    let updates = new Updates()
+    let first = updates.check()
+    await updates.check()
+
+    expect(storeState().updates.digests['library/demo:1.0'].digest).to.equal('sha256:aaa')
+    expect(server.requests.length).to.equal(1)
+    await first
+  })
+
+  it('gives up a registry not responding in time', async () => {
+
+    server = await registry({ '1.0': 'sha256:aaa' }, { delay: 1000 })
+    install('1.0')
+
+    let updates = new Updates(0.1)
+    await updates.check()
+    expect(storeState().updates.digests['library/demo:1.0'].error).to.contain('timeout')
+    expect(updates.checking).to.be.null
+  })
+})
@@ -0,0 +1,94 @@
+import express from 'express'
+import passport from 'passport'
+import jwt from 'jwt-simple'
+import request from 'supertest'
+import { expect } from 'chai'
+
+import { initAuth, auth, redactUrl } from '../../../src/appifi/lib/auth'
+import { permit } from '../../../src/appifi/lib/permissions'
+
+const secret = 'test secret'
+
+/*
+ * user store as lib/users, passwords in clear. Tokens are encoded the way users issues
+ * them, login { uuid, exp }, api { uuid, token }.
+ */
+const users = {
+  secret,
+  users: [
+    { uuid: 'u-admin', username: 'root', password: 'rootpass', role: 'admin' },
+    { uuid: 'u-viewer', username: 'guest', password: 'guestpass', role: 'viewer' }
+  ],
+  tokens: [{ uuid: 't-1', user: 'u-viewer', name: 'script' }],
+  findUser(uuid) { return this.users.find(u => u.uuid === uuid) },
+  findToken(uuid) { return this.tokens.find(t => t.uuid === uuid) },
+  verifyPassword(username, password) {
+    let user = this.users.find(u => u.username === username)
+    return Promise.resolve(user && user.password === password ? user : null)
+  }
+}
+
+const loginToken = (uuid, life = 3600) => jwt.encode({ uuid, exp: Math.floor(Date.now() / 1000) + life }, secret)
+const apiToken = (uuid, token) => jwt.encode({ uuid, token }, secret)
+
+const app = express()
+app.use(passport.initialize())
+app.use('/users', auth)
+app.get('/users/me', (req, res) => res.status(200).json({ username: req.user.username }))
+app.get('/users', permit('userList'), (req, res) => res.status(200).json([]))
+app.use((err, req, res, next) => res.status(err.statusCode || 500).json({ message: err.message }))
+
+describe('auth', () => {
+
+  before(() => initAuth(users))
+
+  it('rejects a request without credentials', () => 
+    request(app).get('/users/me').expect(401))
+
+  it('logs in with username and password', () =>
+    request(app).get('/users/me').auth('root', 'rootpass').expect(200, { username: 'root' }))
+
+  it('rejects a wrong password', () =>
+    request(app).get('/users/me').auth('root', 'guestpass').expect(401))
+
+  it('accepts a login token as bearer', () =>
+    request(app).get('/users/me').set('Authorization', `Bearer ${loginToken('u-admin')}`)
+      .expect(200, { username: 'root' }))
+
+  it('accepts a login token in query string, for EventSource', () =>
+    request(app).get(`/users/me?token=${loginToken('u-admin')}`).expect(200, { username: 'root' }))
+
+  it('rejects an expired login token', () =>
+    request(app).get('/users/me').set('Authorization', `Bearer ${loginToken('u-admin', -60)}`).expect(401))
+
+  it('rejects a token signed with another secret', () =>
+    request(app).get('/users/me')
+      .set('Authorization', `Bearer ${jwt.encode({ uuid: 'u-admin', exp: Math.floor(Date.now() / 1000) + 60 }, 'other')}`)
+      .expect(401))
+
+  it('rejects a token of a removed user', () =>
+    request(app).get('/users/me').set('Authorization', `Bearer ${loginToken('u-gone')}`).expect(401))
+
+  it('accepts an api token, but not once revoked', () =>
+    request(app).get('/users/me').set('Authorization', `Bearer ${apiToken('u-viewer', 't-1')}`)
+      .expect(200, { username: 'guest' })
+      .then(() => request(app).get('/users/me').set('Authorization', `Bearer ${apiToken('u-viewer', 't-2')}`)
+        .expect(401)))
+
+  it('lists users to admins only', () =>
+    request(app).get('/users').auth('guest', 'guestpass').expect(403)
+      .then(() => request(app).get('/users').auth('root', 'rootpass').expect(200)))
+
+  describe('redactUrl', () => {
+
+    it('keeps token in query string out of logs', () => {
+      expect(redactUrl('/server/events?token=abc.def&x=1')).to.equal('/server/events?token=[redacted]&x=1')
+      expect(redactUrl('/apps?x=1&token=abc')).to.equal('/apps?x=1&token=[redacted]')
+    })
+
+    it('leaves other urls alone', () => {
+      expect(redactUrl('/apps?tokens=1')).to.equal('/apps?tokens=1')
+      expect(redactUrl(undefined)).to.be.undefined
+    })
+  })
+})
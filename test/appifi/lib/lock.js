@@ -0,0 +1,88 @@
+import { expect } from 'chai'
+
+import { createLock } from '../../../src/appifi/lib/lock'
+import { usedHostPorts, allocatePorts } from '../../../src/appifi/component/docker/ports'
+
+const component = (name, hostPort) => ({ 
+  name, 
+  config: { HostConfig: { PortBindings: { '80/tcp': [{ HostPort: hostPort }] } } } 
+})
+
+/*
+ * same steps as appInstall, status checked against tasks, host ports probed (awaited),
+ * then task added
+ */
+const install = async (tasks, id, compo) => {
+
+  if (tasks.find(t => t.id === id)) {
+    let err = new Error(`${id} is installing`)
+    err.statusCode = 409
+    throw err
+  }
+
+  let ports = await allocatePorts([compo], usedHostPorts([], [], tasks))
+  let task = { id, status: 'started', ports }
+  tasks.push(task)
+  return task
+}
+
+describe('lock', () => {
+
+  beforeEach(() => process.env.APPIFI_PORT_POOL = '47100-47104')
+  afterEach(() => delete process.env.APPIFI_PORT_POOL)
+
+  it('runs functions one at a time in call order', async () => {
+
+    let lock = createLock()
+    let log = []
+    const job = (name, ms) => () => new Promise(resolve => {
+      log.push(`${name} start`)
+      setTimeout(() => (log.push(`${name} end`), resolve(name)), ms)
+    })
+
+    let results = await Promise.all([lock(job('a', 20)), lock(job('b', 0))])
+    expect(results).to.deep.equal(['a', 'b'])
+    expect(log).to.deep.equal(['a start', 'a end', 'b start', 'b end'])
+  })
+
+  it('keeps running after a rejection', async () => {
+
+    let lock = createLock()
+    let first = lock(() => Promise.reject(new Error('boom')))
+    let second = lock(() => Promise.resolve('ok'))
+
+    let e = await first.catch(e => e)
+    expect(e.message).to.equal('boom')
+    expect(await second).to.equal('ok')
+  })
+
+  describe('concurrent installs', () => {
+
+    it('install the same recipe once', async () => {
+
+      let lock = createLock()
+      let tasks = []
+      let results = await Promise.all([
+        lock(() => install(tasks, 'app', component('web', '47200'))).catch(e => e),
+        lock(() => install(tasks, 'app', component('web', '47200'))).catch(e => e)
+      ])
+
+      expect(tasks.length).to.equal(1)
+      expect(results[0]).to.equal(tasks[0])
+      expect(results[1].statusCode).to.equal(409)
+    })
+
+    it('give different apps different host ports', async () => {
+
+      let lock = createLock()
+      let tasks = []
+      let [a, b] = await Promise.all([
+        lock(() => install(tasks, 'a', component('web', '47200'))),
+        lock(() => install(tasks, 'b', component('web', '47200')))
+      ])
+
+      expect(a.ports[0].hostPort).to.equal('47200')
+      expect(b.ports[0].hostPort).to.equal('47100')
+    })
+  })
+})
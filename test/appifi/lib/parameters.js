@@ -0,0 +1,146 @@
+import { expect } from 'chai'
+
+import {
+  resolveParameterValues,
+  undeclaredPlaceholders,
+  applyParameters,
+  maskParameterValues
+} from '../../../src/appifi/lib/parameters'
+
+const recipe = {
+  appname: 'demo',
+  parameters: [
+    { name: 'port', type: 'port', default: 8080, min: 1024 },
+    { name: 'password', type: 'secret', pattern: '^.{4,}$' },
+    { name: 'dataDir', type: 'path', default: '/srv/demo' },
+    { name: 'mode', type: 'enum', options: ['fast', 'safe'], default: 'safe' },
+    { name: 'debug', type: 'boolean', default: false },
+    { name: 'motd', type: 'string', required: false }
+  ],
+  components: [
+    {
+      name: 'demo',
+      config: {
+        Env: ['PASSWORD={{password}}', 'MODE={{mode}}', 'MOTD={{motd}}'],
+        Tty: '{{debug}}',
+        HostConfig: {
+          Binds: ['{{dataDir}}:/data'],
+          PortBindings: { '80/tcp': [{ HostPort: '{{port}}' }] }
+        }
+      }
+    }
+  ]
+}
+
+const expectStatus = (f, statusCode, pattern) => {
+  try {
+    f()
+  }
+  catch (e) {
+    expect(e.statusCode).to.equal(statusCode)
+    if (pattern) expect(e.message).to.match(pattern)
+    return
+  }
+  throw new Error('expected to throw')
+}
+
+describe('parameters', () => {
+
+  describe('resolveParameterValues', () => {
+
+    it('applies defaults and omits optional parameters without value', () => {
+      expect(resolveParameterValues(recipe, { password: 'secret' })).to.deep.equal({
+        port: 8080,
+        password: 'secret',
+        dataDir: '/srv/demo',
+        mode: 'safe',
+        debug: false
+      })
+    })
+
+    it('treats empty string as not given', () => {
+      expect(resolveParameterValues(recipe, { password: 'secret', port: '' }).port).to.equal(8080)
+    })
+
+    it('converts port string to number', () => {
+      expect(resolveParameterValues(recipe, { password: 'secret', port: '9000' }).port).to.equal(9000)
+    })
+
+    it('rejects a missing required parameter', () =>
+      expectStatus(() => resolveParameterValues(recipe, {}), 400, /password is required/))
+
+    it('rejects an unknown parameter', () =>
+      expectStatus(() => resolveParameterValues(recipe, { password: 'secret', foo: 1 }), 400, /unknown parameter foo/))
+
+    it('rejects values not an object', () =>
+      expectStatus(() => resolveParameterValues(recipe, []), 400))
+
+    it('rejects invalid values by type', () => {
+      const bad = (values) => expectStatus(() => 
+        resolveParameterValues(recipe, Object.assign({ password: 'secret' }, values)), 400)
+
+      bad({ port: 80 })             // below min
+      bad({ port: 70000 })
+      bad({ port: '80a' })
+      bad({ password: 'abc' })      // pattern
+      bad({ dataDir: 'relative' })
+      bad({ dataDir: '/srv/../etc' })
+      bad({ mode: 'slow' })
+      bad({ debug: 'true' })
+      bad({ motd: 1 })
+    })
+  })
+
+  describe('applyParameters', () => {
+
+    let values = resolveParameterValues(recipe, { password: 'secret', debug: true })
+    let config = applyParameters(recipe, values).components[0].config
+
+    it('interpolates values into strings', () => {
+      expect(config.Env).to.deep.equal(['PASSWORD=secret', 'MODE=safe', 'MOTD='])
+      expect(config.HostConfig.Binds).to.deep.equal(['/srv/demo:/data'])
+    })
+
+    it('keeps type of a value replacing a whole string', () => {
+      expect(config.Tty).to.equal(true)
+    })
+
+    it('puts ports as strings, as docker requires', () => {
+      expect(config.HostConfig.PortBindings['80/tcp'][0].HostPort).to.equal('8080')
+    })
+
+    it('leaves the recipe untouched', () => {
+      expect(recipe.components[0].config.Env[0]).to.equal('PASSWORD={{password}}')
+    })
+  })
+
+  describe('maskParameterValues', () => {
+
+    it('masks secrets only', () => {
+      let masked = maskParameterValues(recipe, { password: 'secret', port: 8080 })
+      expect(masked).to.deep.equal({ password: '********', port: 8080 })
+    })
+
+    it('masks secrets interpolated into container config', () => {
+      let values = resolveParameterValues(recipe, { password: 'secret' })
+      let config = applyParameters(recipe, maskParameterValues(recipe, values)).components[0].config
+      expect(JSON.stringify(config)).to.not.contain('secret')
+      expect(config.Env[0]).to.equal('PASSWORD=********')
+    })
+
+    it('passes null through', () => {
+      expect(maskParameterValues(recipe, null)).to.equal(null)
+    })
+  })
+
+  describe('undeclaredPlaceholders', () => {
+
+    it('lists placeholders without parameter', () => {
+      let broken = Object.assign({}, recipe, {
+        components: [{ name: 'x', config: { Env: ['A={{port}}', 'B={{nope}}'] } }]
+      })
+      expect(undeclaredPlaceholders(broken)).to.deep.equal(['nope'])
+      expect(undeclaredPlaceholders(recipe)).to.deep.equal([])
+    })
+  })
+})
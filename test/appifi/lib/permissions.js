@@ -0,0 +1,41 @@
+import { expect } from 'chai'
+
+import { permitted, permittedOperations, assertPermitted, permit } from '../../../src/appifi/lib/permissions'
+
+const user = (role) => ({ uuid: role, username: role, role })
+
+describe('permissions', () => {
+
+  it('lets a role do what lower roles may do', () => {
+    expect(permitted(user('viewer'), 'containerStart')).to.be.false
+    expect(permitted(user('operator'), 'containerStart')).to.be.true
+    expect(permitted(user('admin'), 'containerStart')).to.be.true
+  })
+
+  it('keeps app install, user management and user list for admins', () => {
+    ['appInstall', 'userCreate', 'userUpdate', 'userList'].forEach(op => {
+      expect(permitted(user('operator'), op), op).to.be.false
+      expect(permitted(user('admin'), op), op).to.be.true
+    })
+  })
+
+  it('permits nothing to no user, or for an unknown operation', () => {
+    expect(permitted(null, 'containerStart')).to.be.false
+    expect(permitted(user('admin'), 'noSuchOperation')).to.be.false
+    expect(permittedOperations(user('viewer'))).to.deep.equal([])
+  })
+
+  it('throws 403 if not permitted', () => {
+    expect(() => assertPermitted(user('viewer'), 'appInstall')).to.throw(/not permitted/)
+    expect(() => assertPermitted(user('admin'), 'appInstall')).to.not.throw()
+  })
+
+  it('passes 403 to next in middleware', () => {
+    let errors = []
+    permit('userList')({ user: user('operator') }, null, e => errors.push(e))
+    permit('userList')({ user: user('admin') }, null, e => errors.push(e))
+    expect(errors.length).to.equal(2)
+    expect(errors[0].statusCode).to.equal(403)
+    expect(errors[1]).to.be.undefined
+  })
+})
@@ -0,0 +1,86 @@
+import fs from 'fs'
+import path from 'path'
+import { expect } from 'chai'
+
+import { recipeErrors, partitionRecipes } from '../../../src/appifi/lib/utility'
+
+const component = (props = {}) => Object.assign({
+  name: 'owncloud',
+  namespace: 'library',
+  tag: 'latest',
+  repo: null,
+  overlay: true,
+  config: {
+    HostConfig: {
+      Binds: ['/var/www/html:/var/www/html'],
+      PortBindings: { '80/tcp': [{ HostPort: '10086' }] },
+      RestartPolicy: { Name: 'unless-stopped' }
+    }
+  },
+  volumes: []
+}, props)
+
+const recipe = (props = {}) => Object.assign({ appname: 'ownCloud', flavor: 'vanilla', components: [component()] }, props)
+
+const parameterized = (props = {}) => recipe(Object.assign({
+  schemaVersion: 2,
+  parameters: [{ name: 'port', type: 'port', default: 10086 }],
+  components: [component({ config: { HostConfig: { PortBindings: { '80/tcp': [{ HostPort: '{{port}}' }] } } } })]
+}, props))
+
+const accepted = [
+  ['version 1 recipe without schemaVersion', recipe()],
+  ['version 1 recipe with schemaVersion', recipe({ schemaVersion: 1 })],
+  ['unknown properties, for newer appifi', recipe({ description: 'cloud', components: [component({ icon: 'x.png' })] })],
+  ['legacy configOverlay', recipe({ components: [component({ overlay: undefined, configOverlay: true })] })],
+  ['empty host port', recipe({ components: [component({ config: { HostConfig: { PortBindings: { '80/tcp': [{ HostPort: '' }] } } } })] })],
+  ['read only bind', recipe({ components: [component({ config: { HostConfig: { Binds: ['/etc:/etc:ro'] } } })] })],
+  ['version 2 recipe with parameters', parameterized()],
+  ['version 2 recipe without parameters', recipe({ schemaVersion: 2 })],
+  ['enum parameter with options', parameterized({ parameters: [{ name: 'mode', type: 'enum', options: ['a', 'b'] }] })]
+]
+
+const rejected = [
+  ['not an object', null, 'recipe should be an object'],
+  ['an array', [recipe()], 'recipe should be an object'],
+  ['unsupported schemaVersion', recipe({ schemaVersion: 3 }), 'unsupported recipe schemaVersion 3'],
+  ['no components', recipe({ components: [] }), 'recipe.components should NOT have less than 1 items'],
+  ['no appname', recipe({ appname: undefined }), "should have required property 'appname'"],
+  ['uppercase image name', recipe({ components: [component({ name: 'OwnCloud' })] }), 'recipe.components[0].name'],
+  ['invalid tag', recipe({ components: [component({ tag: '-latest' })] }), 'recipe.components[0].tag'],
+  ['relative bind', recipe({ components: [component({ config: { HostConfig: { Binds: ['data:/data'] } } })] }), 'Binds[0]'],
+  ['bad port key', recipe({ components: [component({ config: { HostConfig: { PortBindings: { '80': [] } } } })] }), 'PortBindings'],
+  ['restart policy', recipe({ components: [component({ config: { HostConfig: { RestartPolicy: { Name: 'sometimes' } } } })] }), 'RestartPolicy.Name'],
+  ['parameters in version 1', parameterized({ schemaVersion: undefined }), 'recipe parameters require schemaVersion 2'],
+  ['placeholder in version 1', recipe({ components: [parameterized().components[0]] }), 'HostPort'],
+  ['unknown parameter type', parameterized({ parameters: [{ name: 'x', type: 'file' }] }), 'recipe.parameters[0].type'],
+  ['enum parameter without options', parameterized({ parameters: [{ name: 'x', type: 'enum' }] }), 'recipe.parameters[0]'],
+  ['invalid parameter name', parameterized({ parameters: [{ name: 'my-port', type: 'port' }] }), 'recipe.parameters[0].name'],
+  ['schemaVersion as string', parameterized({ schemaVersion: '2' }), 'recipe.schemaVersion']
+]
+
+describe('recipeSchema', () => {
+
+  describe('accepts', () => 
+    accepted.forEach(([title, r]) => 
+      it(title, () => expect(recipeErrors(r)).to.deep.equal([]))))
+
+  describe('rejects', () => 
+    rejected.forEach(([title, r, message]) => 
+      it(title, () => {
+        let errors = recipeErrors(r)
+        expect(errors.some(e => e.indexOf(message) !== -1), errors.join('; ')).to.be.true
+      })))
+
+  it('accepts published catalogs', () => {
+    ['recipe/release.json', 'recipe/v2/release.json'].forEach(file => {
+      let list = JSON.parse(fs.readFileSync(path.join(__dirname, '../../..', file)))
+      expect(partitionRecipes(list).invalids, file).to.deep.equal([])
+    })
+  })
+
+  it('requires schemaVersion 2 for every parameterized recipe of v2 catalog', () => {
+    let list = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../recipe/v2/release.json')))
+    list.forEach(r => expect(r.schemaVersion, r.appname).to.equal(2))
+  })
+})
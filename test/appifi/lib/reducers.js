@@ -0,0 +1,55 @@
+import EventEmitter from 'events'
+import { expect } from 'chai'
+
+import { storeState, storeDispatch } from '../../../src/appifi/lib/reducers'
+
+const task = (type, id, status) => Object.assign(new EventEmitter(), { type, id, status })
+
+describe('reducers', () => {
+
+  describe('tasks', () => {
+
+    afterEach(() => [...storeState().tasks].forEach(t => storeDispatch({ type: 'TASK_REMOVE', task: t })))
+
+    it('adds a task, its updates keep the list', () => {
+      let t = task('appInstall', 'a', 'started')
+      storeDispatch({ type: 'TASK_ADD', task: t })
+      expect(storeState().tasks).to.deep.equal([t])
+
+      let before = storeState().tasks
+      t.emit('update', t)
+      expect(storeState().tasks).to.equal(before)
+    })
+
+    it('removes the given task, not another one with the same type and id', () => {
+      let failed = task('appInstall', 'a', 'stopped')
+      let retried = task('appInstall', 'a', 'started')
+      storeDispatch({ type: 'TASK_ADD', task: failed })
+      storeDispatch({ type: 'TASK_ADD', task: retried })
+
+      storeDispatch({ type: 'TASK_REMOVE', task: retried })
+      expect(storeState().tasks).to.deep.equal([failed])
+    })
+
+    it('keeps a retried task when the failed one is replaced', () => {
+      let failed = task('appInstall', 'a', 'stopped')
+      storeDispatch({ type: 'TASK_ADD', task: failed })
+
+      // as appInstall does, stopped ones are removed before the new one is added
+      let retried = task('appInstall', 'a', 'started')
+      storeDispatch({ type: 'TASK_REMOVE', task: failed })
+      storeDispatch({ type: 'TASK_ADD', task: retried })
+
+      // removing the failed one again is a no-op
+      storeDispatch({ type: 'TASK_REMOVE', task: failed })
+      expect(storeState().tasks).to.deep.equal([retried])
+    })
+
+    it('ignores a task description matching by type and id only', () => {
+      let t = task('appInstall', 'a', 'started')
+      storeDispatch({ type: 'TASK_ADD', task: t })
+      storeDispatch({ type: 'TASK_REMOVE', task: { type: 'appInstall', id: 'a' } })
+      expect(storeState().tasks).to.deep.equal([t])
+    })
+  })
+})
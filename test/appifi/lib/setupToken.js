@@ -0,0 +1,56 @@
+import os from 'os'
+import fs from 'fs'
+import path from 'path'
+import { expect } from 'chai'
+
+import SetupToken from '../../../src/appifi/lib/setupToken'
+
+describe('setupToken', () => {
+
+  let dir, filePath
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appifi-setup-'))
+    filePath = path.join(dir, 'setup-token')
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath)
+    fs.rmdirSync(dir)
+  })
+
+  it('creates a token in a file readable by owner only', async () => {
+    let setup = new SetupToken(filePath)
+    await setup.prepare()
+    expect(setup.token).to.match(/^[0-9a-f]{32}$/)
+    expect(fs.readFileSync(filePath).toString().trim()).to.equal(setup.token)
+    expect(fs.statSync(filePath).mode & 0o777).to.equal(0o600)
+  })
+
+  it('keeps the token across restarts', async () => {
+    let first = new SetupToken(filePath)
+    await first.prepare()
+    let second = new SetupToken(filePath)
+    await second.prepare()
+    expect(second.token).to.equal(first.token)
+  })
+
+  it('accepts only the token, surrounding whitespace ignored', async () => {
+    let setup = new SetupToken(filePath)
+    await setup.prepare()
+    expect(setup.verify(setup.token)).to.be.true
+    expect(setup.verify(` ${setup.token}\n`)).to.be.true
+    expect(setup.verify(setup.token.slice(1))).to.be.false
+    expect(setup.verify('0'.repeat(32))).to.be.false
+    expect(setup.verify(undefined)).to.be.false
+  })
+
+  it('accepts nothing once used up', async () => {
+    let setup = new SetupToken(filePath)
+    await setup.prepare()
+    let token = setup.token
+    await setup.remove()
+    expect(setup.verify(token)).to.be.false
+    expect(fs.existsSync(filePath)).to.be.false
+  })
+})
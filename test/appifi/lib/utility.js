@@ -0,0 +1,82 @@
+import { expect } from 'chai'
+import stringify from 'canonical-json'
+
+import { composeJsonLabel, uncomposeJsonLabel, maskAppifiLabel, APPIFI_KEY } from '../../../src/appifi/lib/utility'
+import { restoreSecretValues, secretParameterValues } from '../../../src/appifi/lib/parameters'
+
+const uuid = '2d5ffa8c-53ed-4d53-b4e7-2ad1e1ba8f43'
+
+const recipe = {
+  schemaVersion: 2,
+  appname: 'demo',
+  flavor: 'vanilla',
+  parameters: [
+    { name: 'password', type: 'secret' },
+    { name: 'port', type: 'port', default: 8080 }
+  ],
+  components: [
+    {
+      name: 'demo',
+      namespace: 'library',
+      tag: 'latest',
+      repo: null,
+      overlay: true,
+      config: { Env: ['PASSWORD={{password}}'] },
+      volumes: []
+    }
+  ]
+}
+
+const values = { password: 'hunter2', port: 8080 }
+
+describe('utility', () => {
+
+  describe('container label', () => {
+
+    it('keeps secret values out of the label', () => {
+      let label = composeJsonLabel(uuid, recipe, values, [])
+      expect(label).to.be.a('string')
+      expect(label).to.not.contain('hunter2')
+      expect(uncomposeJsonLabel(label).values).to.deep.equal({ password: '********', port: 8080 })
+    })
+
+    it('lets a viewer see no secret of a label written by older version', () => {
+      let container = { 
+        Id: 'abc', 
+        Labels: { [APPIFI_KEY]: stringify({ version: '1.0', uuid, recipe, values, ports: [] }), other: 'x' } 
+      }
+      let facade = maskAppifiLabel(container)
+      expect(JSON.stringify(facade)).to.not.contain('hunter2')
+      expect(uncomposeJsonLabel(facade.Labels[APPIFI_KEY]).values.port).to.equal(8080)
+      expect(facade.Labels.other).to.equal('x')
+      expect(container.Labels[APPIFI_KEY]).to.contain('hunter2')
+    })
+
+    it('drops an appifi label not understood', () => {
+      let facade = maskAppifiLabel({ Labels: { [APPIFI_KEY]: '{"password":"hunter2"}' } })
+      expect(facade.Labels).to.deep.equal({})
+    })
+
+    it('leaves other containers alone', () => {
+      let container = { Labels: { other: 'x' } }
+      expect(maskAppifiLabel(container)).to.equal(container)
+    })
+  })
+
+  describe('secret values', () => {
+
+    it('picks secrets for the store', () => {
+      expect(secretParameterValues(recipe, values)).to.deep.equal({ password: 'hunter2' })
+    })
+
+    it('puts secrets back from store', () => {
+      let masked = uncomposeJsonLabel(composeJsonLabel(uuid, recipe, values, [])).values
+      expect(restoreSecretValues(recipe, masked, { password: 'hunter2' })).to.deep.equal(values)
+    })
+
+    it('drops masked secrets not in store, keeps clear ones of older labels', () => {
+      expect(restoreSecretValues(recipe, { password: '********', port: 8080 }, {})).to.deep.equal({ port: 8080 })
+      expect(restoreSecretValues(recipe, values, {})).to.deep.equal(values)
+    })
+  })
+})
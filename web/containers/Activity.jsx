@@ -0,0 +1,104 @@
+import React from 'react'
+
+import { Paper, Divider, FlatButton, CircularProgress } from 'material-ui'
+
+import { dispatch, activityStore } from '../utils/storeState'
+
+const C = x => f => f ? C(f(x)) : x
+
+const encodingIndex = enc => C(enc)
+  (x => ['en_US', 'zh_CN'].indexOf(x))
+  (i => i === -1 ? 0 : i)
+  ()
+
+const langMap = {
+  undefined: ['[undefined]', '【未定义】'],
+  activity: ['Activity', '活动'],
+  noActivity: ['No finished tasks yet', '尚无已完成的任务'],
+  btnRefresh: ['refresh', '刷新'],
+  btnNewer: ['newer', '较新'],
+  btnOlder: ['older', '较旧'],
+  appInstall: ['Install', '安装'],
+  appUninstall: ['Uninstall', '卸载'],
+  appUpgrade: ['Upgrade', '升级'],
+  succeeded: ['succeeded', '成功'],
+  failed: ['failed', '失败'],
+}
+
+const langText = (prop = 'undefined') => C(prop)
+  (x => langMap[x] === undefined ? 'undefined' : x)
+  (x => langMap[x][encodingIndex(window.store.getState().lang)])
+  ()
+
+const timeText = (ms) => ms ? new Date(ms).toLocaleString() : '-'
+
+const durationText = (entry) =>
+  entry.startedAt && entry.endedAt ? `${Math.round((entry.endedAt - entry.startedAt) / 1000)}s` : '-'
+
+// one line per result, whichever of image, container or data it is about
+const resultText = (r) => {
+
+  let subject = r.image || r.container || r.data
+  let outcome = r.state || (r.errno ? `errno ${r.errno}` : 'ok')
+  let message = r.message || r.containerMessage
+  return message ? `${subject}: ${outcome} (${message})` : `${subject}: ${outcome}`
+}
+
+const renderEntry = (entry) => {
+
+  let failed = entry.errno !== 0
+  let title = `${langText(entry.type)} ${entry.appname || entry.id}`
+  let status = failed ? `${langText('failed')}: ${entry.message}` : langText('succeeded')
+
+  return (
+    <div style={{padding:16}}>
+      <div style={{display:'flex', alignItems:'center', justifyContent:'space-between'}}>
+        <div style={{fontSize:16, fontWeight:500, opacity:0.87}}>{title}</div>
+        <div style={{fontSize:13, opacity:0.54}}>{`${timeText(entry.endedAt)} (${durationText(entry)})`}</div>
+      </div>
+      <div style={{fontSize:14, marginTop:4, color: failed ? 'red' : undefined, opacity: failed ? 1 : 0.54}}>
+        {entry.from ? `${entry.from} -> ${entry.recipeKeyString}, ${status}` : status}
+      </div>
+      { failed && entry.results.map((r, i) =>
+        <div key={i} style={{fontSize:13, fontFamily:'monospace', opacity:0.54}}>{resultText(r)}</div>) }
+    </div>
+  )
+}
+
+const PAGEKEY = 'activity-page'
+
+const renderActivityPage = () => {
+
+  let { agent, page } = activityStore()
+
+  let request = (offset) => () => dispatch({ type: 'ACTIVITY_REQUEST', offset })
+  let offset = page ? page.offset : 0
+  let limit = page ? page.limit : 20
+
+  return (
+    <div key={PAGEKEY}>
+      <div style={{display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom:16}}>
+        <div style={{fontSize:20, opacity:0.87}}>{langText('activity')}</div>
+        <div style={{display:'flex', alignItems:'center'}}>
+          { agent && <CircularProgress size={0.5} /> }
+          <FlatButton label={langText('btnNewer')} disabled={!!agent || offset === 0}
+            onTouchTap={request(Math.max(0, offset - limit))} />
+          <FlatButton label={langText('btnOlder')} disabled={!!agent || !page || offset + limit >= page.total}
+            onTouchTap={request(offset + limit)} />
+          <FlatButton label={langText('btnRefresh')} disabled={!!agent} onTouchTap={request(offset)} />
+        </div>
+      </div>
+      <Paper rounded={false} zDepth={1}>
+        { page && page.entries.length === 0 &&
+          <div style={{padding:16, fontSize:14, opacity:0.54}}>{langText('noActivity')}</div> }
+        { page && page.entries.map((entry, index) =>
+          <div key={index}>
+            { index !== 0 && <Divider /> }
+            { renderEntry(entry) }
+          </div>) }
+      </Paper>
+    </div>
+  )
+}
+
+export default renderActivityPage
@@ -1,13 +1,13 @@
 import React from 'react'
 
 import { Card, CardTitle, CardHeader, CardMedia, CardActions, CardText } from 'material-ui/Card'
-import { FlatButton, RaisedButton, Paper, Dialog, TextField } from 'material-ui'
+import { FlatButton, RaisedButton, Paper, Dialog, TextField, Toggle, SelectField, MenuItem, LinearProgress, CircularProgress } from 'material-ui'
 import { grey50, grey100, grey200, grey300, grey400, grey500 } from 'material-ui/styles/colors'
 import ContentAdd from 'material-ui/svg-icons/content/add'
 
 import JumbotronText from './JumbotronText'
 
-import { dispatch, appstoreStore, dockerState, appstoreState, taskStates } from '../utils/storeState'
+import { dispatch, appstoreStore, dockerState, appstoreState, taskStates, permitted } from '../utils/storeState'
 
 import imagePrefix from '../utils/imagePrefix'
 
@@ -23,6 +23,9 @@ const langMap = {
   seeDetail: ['SEE DETAIL', '详细'],
   thisAppAlreadyInstalled: ['This app is already installed.', '该Docker镜像已经安装。'],
   thisAppIsInstalling: ['This app is installing.', '该Docker镜像正在安装。'],
+  thisAppIsQueued: ['This app is queued for installing.', '该Docker镜像正在排队等待安装。'],
+  installQueued: ['queued', '排队中'],
+  installEta: ['left', '剩余'],
   thisAppIsNotInstalled: ['This app is not installed.', '该Docker镜像尚未安装。'],
   appstoreRefresh: ['refresh', '刷新'],
   btnInstall: ['INSTALL', '安装'],
@@ -34,6 +37,21 @@ const langMap = {
   appstoreErrorDockerhub: ['AppStore Error, failed loading repository information from hub.docker.com',
     'Docker商店错误，未能从hub.docker.com载入应用的软件池信息'],
   recommendedApps: ['Recommended Apps', '推荐应用'],
+  catalogError: ['Failed loading catalog', '未能载入目录'],
+  invalidRecipe: ['Invalid recipe', '无效的配方'],
+  installParameters: ['Install Settings', '安装设置'],
+  installPlan: ['Install Plan', '安装计划'],
+  planImages: ['Images', '镜像'],
+  planImagePresent: ['present', '已存在'],
+  planDownloadSize: ['Estimated download', '预计下载'],
+  planUnknownSize: ['unknown', '未知'],
+  planPorts: ['Ports', '端口'],
+  planBinds: ['Host directories', '主机目录'],
+  planBindNew: ['to be created', '将被创建'],
+  planContainers: ['Containers', '容器'],
+  btnCancel: ['CANCEL', '取消'],
+  btnConfirm: ['CONFIRM', '确认'],
+  appstoreStale: ['Showing cached apps, revalidating...', '正在显示缓存的应用，正在重新验证...'],
 }
 
 const langText = (prop = 'undefined') => C(prop)
@@ -46,13 +64,30 @@ const formatNumber = (num) =>
   (num > 999999) ? (num/1000000).toFixed(1) + 'M' : 
     (num > 999) ? (num/1000).toFixed(1) + 'K' : num
 
+const formatSize = (size) => 
+  (size > 1024 * 1024 * 1024) ? (size / 1024 / 1024 / 1024).toFixed(1) + 'GB' :
+    (size > 1024 * 1024) ? (size / 1024 / 1024).toFixed(1) + 'MB' : 
+      (size / 1024).toFixed(1) + 'KB'
+
+const formatDuration = (seconds) => 
+  (seconds >= 3600) ? `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m` :
+    (seconds >= 60) ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`
+
+// e.g. 42%, 120.5MB / 286.0MB, 2.1MB/s, 1m 19s left
+const progressText = (progress) => [
+  `${progress.percent}%`,
+  progress.total ? `${formatSize(progress.current)} / ${formatSize(progress.total)}` : null,
+  progress.speed ? `${formatSize(progress.speed)}/s` : null,
+  progress.eta ? `${formatDuration(progress.eta)} ${langText('installEta')}` : null
+].filter(x => x).join(', ')
+
 const appInstalled = (app) => 
   dockerState().installeds.find(inst => inst.recipeKeyString === app.key)
 
 const appInstalling = (app) => {
   let tasks = taskStates()
   if (!tasks || !tasks.length) return false
-  return tasks.find(t => t.type === 'appInstall' && t.id === app.key && t.status === 'started')
+  return tasks.find(t => t.type === 'appInstall' && t.id === app.key && t.status !== 'stopped')
 }
 
 const SelectedApp = ({
@@ -65,7 +100,8 @@ const SelectedApp = ({
     buttonLabel,
     buttonText,
     buttonOnTouchTap,
-    description
+    description,
+    progress
   }) => (
     <div>
       <div style={{display: 'flex', flexDirection: 'row'}}>
@@ -83,9 +119,12 @@ const SelectedApp = ({
             <div style={{height:8}} />
             <div>{description}</div>
           </div>
+          { progress && 
+            <LinearProgress mode='determinate' value={progress.percent} style={{marginTop:16, marginBottom:8}} /> }
           <div style={{display:'flex', alignItems:'center', justifyContent:'space-between'}}>
             <div>{buttonText}</div>
-            <RaisedButton style={{width:120}} label={buttonLabel} primary={true} disabled={buttonDisabled} onTouchTap={buttonOnTouchTap}/>
+            { buttonLabel && 
+              <RaisedButton style={{width:120}} label={buttonLabel} primary={true} disabled={buttonDisabled} onTouchTap={buttonOnTouchTap}/> }
           </div>
         </div>
       </div>
@@ -129,12 +168,65 @@ class CustomAppDialog extends React.Component {
   }
 }
 
+/* install form for recipe parameters, values are sent along with appInstall */
+class InstallForm extends React.Component {
+
+  constructor(props) {
+    super(props)
+    this.state = { values: {} }
+    props.parameters.forEach(param => 
+      this.state.values[param.name] = param.default === undefined ? 
+        (param.type === 'boolean' ? false : '') : param.default)
+  }
+
+  setValue(name, value) {
+    this.setState({ values: Object.assign({}, this.state.values, { [name]: value }) })
+  }
+
+  renderField(param) {
+
+    let label = param.label || param.name
+    let value = this.state.values[param.name]
+
+    switch (param.type) {
+    case 'boolean':
+      return <Toggle key={param.name} style={{marginTop:16}} label={label} toggled={value} 
+        onToggle={(e, toggled) => this.setValue(param.name, toggled)} />
+    case 'enum':
+      return (
+        <SelectField key={param.name} floatingLabelText={label} value={value}
+          onChange={(e, index, val) => this.setValue(param.name, val)}>
+          { param.options.map(opt => <MenuItem key={opt} value={opt} primaryText={opt} />) }
+        </SelectField>
+      )
+    default:
+      return <TextField key={param.name} floatingLabelText={label} fullWidth={true}
+        type={param.type === 'secret' ? 'password' : param.type === 'port' ? 'number' : 'text'}
+        value={value} onChange={e => this.setValue(param.name, e.target.value)} />
+    }
+  }
+
+  render() {
+    return (
+      <div style={{marginTop:16}}>
+        <div style={{fontSize:16, fontWeight:500}}>{langText('installParameters')}</div>
+        { this.props.parameters.map(param => this.renderField(param)) }
+        <div style={{display:'flex', justifyContent:'flex-end', marginTop:16}}>
+          <RaisedButton style={{width:120}} label={langText('btnInstall')} primary={true} 
+            onTouchTap={() => this.props.onInstall(this.state.values)} />
+        </div>
+      </div>
+    )
+  }
+}
+
 /* equivalent to container component */
 const renderSelectedApp = (app) => {
   
   if (!app) return null
 
   let buttonDisabled, buttonLabel, buttonText, buttonOnTouchTap
+  let parameters = null
   let installed = appInstalled(app)
   let installing = appInstalling(app)
 
@@ -163,7 +255,8 @@ const renderSelectedApp = (app) => {
   else if (installing) {
     buttonDisabled = false
     buttonLabel = langText('seeDetail')
-    buttonText = langText('thisAppIsInstalling')
+    buttonText = installing.status === 'queued' ? langText('thisAppIsQueued') :
+      `${langText('thisAppIsInstalling')} ${progressText(installing.progress)}`
     buttonOnTouchTap = () => {
       dispatch({
         type: 'STORE_SELECTEDAPP',
@@ -182,36 +275,119 @@ const renderSelectedApp = (app) => {
       })
     }
   }
+  else if (!permitted('appInstall')) {
+    // no install button for non-admin
+    buttonDisabled = true
+    buttonLabel = null
+    buttonText = langText('thisAppIsNotInstalled')
+  }
   else {
-    buttonDisabled = false
-    buttonLabel = langText('btnInstall')
+    // install plan is confirmed first
+    let install = (values) => dispatch({
+      type: 'STORE_PLAN_REQUEST',
+      data: {
+        recipeKeyString: app.key,
+        parameters: values
+      } 
+    })
+
     buttonText = langText('thisAppIsNotInstalled')
-    buttonOnTouchTap = () => {
-      dispatch({
-        type: 'SERVEROP_REQUEST',
-        data: {
-          operation: 'appInstall',
-          args: [app.key]
-        } 
-      })
+    if (app.parameters && app.parameters.length) {
+      // install button is in the form
+      buttonDisabled = true
+      buttonLabel = null
+      parameters = <InstallForm key={app.key} parameters={app.parameters} onInstall={install} />
+    }
+    else {
+      buttonDisabled = false
+      buttonLabel = langText('btnInstall')
+      buttonOnTouchTap = () => install({})
     }
   }
 
   let repo = app.components[0].repo
 
   return (
-    <SelectedApp
-      imgSrc={imagePrefix(`/images/${app.components[0].imageLink}`)}
-      title={app.appname}
-      subtitle={app.components[0].namespace}
-      stars={repo ? repo.star_count : 'n/a'}
-      pulls={repo ? repo.pull_count : 'n/a'}
-      buttonDisabled={buttonDisabled}
-      buttonLabel={buttonLabel}
-      buttonText={buttonText}
-      buttonOnTouchTap={buttonOnTouchTap}
-      description={repo ? repo.description : 'n/a'}
-    /> 
+    <div>
+      <SelectedApp
+        imgSrc={imagePrefix(`/images/${app.components[0].imageLink}`)}
+        title={app.appname}
+        subtitle={app.components[0].namespace}
+        stars={repo ? repo.star_count : 'n/a'}
+        pulls={repo ? repo.pull_count : 'n/a'}
+        buttonDisabled={buttonDisabled}
+        buttonLabel={buttonLabel}
+        buttonText={buttonText}
+        buttonOnTouchTap={buttonOnTouchTap}
+        description={repo ? repo.description : 'n/a'}
+        progress={installing && installing.status === 'started' ? installing.progress : null}
+      /> 
+      { parameters }
+    </div>
+  )
+}
+
+const planSectionStyle = {fontSize:14, fontWeight:500, marginTop:16}
+const planRowStyle = {fontSize:13, lineHeight:'20px', opacity:0.87, fontFamily: 'monospace'}
+
+const InstallPlanDialog = ({ plan }) => {
+
+  let result = plan && plan.result
+  let confirm = () => {
+    dispatch({
+      type: 'SERVEROP_REQUEST',
+      data: {
+        operation: 'appInstall',
+        args: [plan.request.recipeKeyString, plan.request.parameters]
+      } 
+    })
+    dispatch({ type: 'STORE_PLAN_CLEAR' })
+  }
+
+  return (
+    <Dialog
+      title={result ? `${langText('installPlan')}: ${result.appname}` : langText('installPlan')}
+      autoScrollBodyContent={true}
+      actions={[
+        <FlatButton label={langText('btnCancel')} primary={true} 
+          onTouchTap={() => dispatch({ type: 'STORE_PLAN_CLEAR' })} />,
+        <FlatButton label={langText('btnConfirm')} primary={true} onTouchTap={confirm} />
+      ]}
+      modal={true}
+      open={!!result}
+    >
+      { result && 
+        <div>
+          <div style={planSectionStyle}>{langText('planImages')}</div>
+          { result.images.map(image => 
+            <div key={`${image.name}:${image.tag}`} style={planRowStyle}>
+              {`${image.name}:${image.tag} ` + (image.present ? `(${langText('planImagePresent')})` : 
+                image.size === null ? `(${langText('planUnknownSize')})` : `(${formatSize(image.size)})`)}
+            </div>) }
+          <div style={planRowStyle}>
+            {`${langText('planDownloadSize')}: ${result.downloadSize === null ? 
+              langText('planUnknownSize') : formatSize(result.downloadSize)}`}
+          </div>
+          <div style={planSectionStyle}>{langText('planPorts')}</div>
+          { result.ports.map((m, i) => 
+            <div key={i} style={planRowStyle}>
+              {`${m.component} ${m.containerPort} -> ${m.hostPort}` + 
+                (m.requested && m.requested !== m.hostPort ? ` (${m.requested})` : '')}
+            </div>) }
+          <div style={planSectionStyle}>{langText('planBinds')}</div>
+          { result.binds.map(bind => 
+            <div key={bind.path} style={planRowStyle}>
+              {bind.path + (bind.exists ? '' : ` (${langText('planBindNew')})`)}
+            </div>) }
+          <div style={planSectionStyle}>{langText('planContainers')}</div>
+          { result.containers.map(c => 
+            <TextField key={c.component} 
+              textareaStyle={{fontFamily: 'monospace', fontSize: 12}}
+              floatingLabelText={c.component}
+              value={JSON.stringify(c.body, null, '  ')}
+              fullWidth={true} multiLine={true} rows={4} rowsMax={12} />) }
+        </div> }
+    </Dialog>
   )
 }
 
@@ -220,7 +396,7 @@ const AppCard = ({
     title,
     stars,
     pulls,
-    status,
+    installing,
     onTouchTap
   }) => (
     <Paper style={{width:160, marginTop:16, marginRight:8}}>
@@ -236,6 +412,14 @@ const AppCard = ({
           <div style={{flex:1, fontSize:12, lineHeight:'18px', opacity:0.54}}>{'\u2605 ' + formatNumber(stars)}</div>
           <div style={{flex:1, fontSize:12, lineHeight:'18px', opacity:0.54}}>{'\u2198 ' + formatNumber(pulls)}</div>
         </div>
+        { installing && 
+          <LinearProgress style={{marginTop:8}} 
+            mode={installing.status === 'queued' ? 'indeterminate' : 'determinate'} 
+            value={installing.progress.percent} /> }
+        { installing && 
+          <div style={{fontSize:12, lineHeight:'18px', opacity:0.54}}>
+            { installing.status === 'queued' ? langText('installQueued') : progressText(installing.progress) }
+          </div> }
       </div>
     </Paper> 
   )
@@ -251,6 +435,7 @@ const renderAppCard = (app) => {
       title={app.appname}
       stars={repo ? repo.star_count : 'n/a'}
       pulls={repo ? repo.pull_count : 'n/a'}
+      installing={appInstalling(app) || null}
       onTouchTap={() => dispatch({
         type: 'STORE_SELECTEDAPP',
         selectedApp: app
@@ -269,7 +454,7 @@ const RenderBanner = ({text, busy, refresh}) => (
         <div style={{fontSize:16, opacity:0.54}}>{text}</div>
         { busy && <CircularProgress size={0.4} /> }
       </div> 
-      { refresh && <RaisedButton label={langText('appstoreRefresh')} onTouchTap={() => dispatch({
+      { refresh && permitted('appstoreRefresh') && <RaisedButton label={langText('appstoreRefresh')} onTouchTap={() => dispatch({
           type: 'SERVEROP_REQUEST',
           data: {
             operation: 'appstoreRefresh'
@@ -284,7 +469,7 @@ const render = () => {
   console.log(appstoreStore())
   console.log('====')
 
-  let { selectedApp, customApp } = appstoreStore()
+  let { selectedApp, customApp, plan } = appstoreStore()
   let appstore = appstoreState()
   let docker = dockerState()
 
@@ -306,9 +491,22 @@ const render = () => {
     return <div key={APPSKEY}><RenderBanner text={langText('appstoreErrDockerhub')} refresh={true} /></div>
   }
 
+  let failedCatalogs = (appstore.catalogs || []).filter(c => c.status === 'ERROR')
+  let invalids = appstore.invalids || []
+
   return (
     <div key={APPSKEY} >
       <RenderBanner text={langText('recommendedApps')} refresh={true} />
+      { appstore.stale && 
+        <div style={{fontSize:14, marginTop:8, opacity:0.54}}>{langText('appstoreStale')}</div> }
+      { failedCatalogs.map(c => 
+        <div key={c.uuid} style={{fontSize:14, marginTop:8, opacity:0.54}}>
+          {`${langText('catalogError')} ${c.name}: ${c.message}`}
+        </div>) }
+      { invalids.map((inv, i) => 
+        <div key={`invalid-${i}`} style={{fontSize:14, marginTop:8, opacity:0.54}}>
+          {`${langText('invalidRecipe')} ${inv.appname || `#${inv.index}`}: ${inv.errors.join('; ')}`}
+        </div>) }
       <div>
         <div style={{display: 'flex', flexWrap: 'wrap'}}>
           { appstore.result.map(app => renderAppCard(app)) }
@@ -329,6 +527,7 @@ const render = () => {
           { renderSelectedApp(selectedApp) }
         </Dialog>
         <CustomAppDialog open={customApp} />
+        <InstallPlanDialog plan={plan} />
       </div>
     </div>
   )
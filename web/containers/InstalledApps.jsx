@@ -4,12 +4,12 @@ import { Paper, Avatar, LinearProgress, Divider } from 'material-ui'
 import { List, ListItem } from 'material-ui/List'
 import { Card, CardActions, CardHeader, CardMedia, CardTitle, CardText } from 'material-ui/Card'
 import { Tabs, Tab } from 'material-ui/Tabs'
-import { FloatingActionButton, IconButton, FlatButton, RaisedButton, Toggle, CircularProgress } from 'material-ui'
+import { FloatingActionButton, IconButton, FlatButton, RaisedButton, Toggle, CircularProgress, Dialog } from 'material-ui'
 
 import IconAVPlayArrow from 'material-ui/svg-icons/av/play-arrow'
 import IconAVStop from 'material-ui/svg-icons/av/stop'
 
-import { dispatch, dockerStore, serverOpStore, dockerState, taskStates, installedStore } from '../utils/storeState'
+import { dispatch, dockerStore, serverOpStore, dockerState, taskStates, installedStore, permitted } from '../utils/storeState'
 import imagePrefix from '../utils/imagePrefix'
 
 import {
@@ -33,6 +33,23 @@ const langMap = {
   btnUninstall: ['uninstall', '卸载'],
   appOfficial: ['Official', '官方应用'],
   statusInstalling: ['Installing...', '正在安装...'],
+  statusUninstalling: ['Uninstalling...', '正在卸载...'],
+  statusUninstalled: ['Uninstalled', '已卸载'],
+  statusUninstallFailed: ['Uninstall failed', '卸载失败'],
+  uninstallTitle: ['Uninstall', '卸载'],
+  uninstallDeleteData: ['Delete app data', '删除应用数据'],
+  uninstallDeleteImages: ['Delete images not used by other apps', '删除其他应用未使用的镜像'],
+  uninstallData: ['app data', '应用数据'],
+  btnCancel: ['cancel', '取消'],
+  btnUpgrade: ['upgrade', '升级'],
+  updateAvailable: ['update available', '有可用更新'],
+  statusUpgrading: ['Upgrading', '正在升级'],
+  statusUpgraded: ['Upgraded', '已升级'],
+  statusUpgradeFailed: ['Upgrade failed', '升级失败'],
+  statusInstallFailed: ['Install failed', '安装失败'],
+  statusQueued: ['Queued', '排队中'],
+  btnRetry: ['retry', '重试'],
+  btnDismiss: ['dismiss', '清除'],
 }
 
 const langText = (prop = 'undefined') => C(prop)
@@ -137,12 +154,14 @@ const BusyFlatButton = ({ busy, label, disabled, onTouchTap }) => {
   return (<div style={containerButtonStyle}><FlatButton label={label} disabled={disabled} onTouchTap={onTouchTap} /></div>)
 }
 
-const OpenButton = ({container}) => {
+// recorded host port of installed app wins over the first published one
+const OpenButton = ({container, hostPort}) => {
 
   let port
   if (container.State === 'running') {
     let portObj = container.Ports.find(p => p.Type === 'tcp' && p.PublicPort !== undefined)
-    if (portObj) port = portObj.PublicPort 
+    if (hostPort) port = hostPort
+    else if (portObj) port = portObj.PublicPort 
   }
 
 /*
@@ -189,14 +208,16 @@ const renderContainerHeaderRight = (container) => {
 
   return (
     <div style={{ display: 'flex', alignItems: 'center', padding:8 }}> 
-      <BusyFlatButton busy={containerStartingMe(container)} 
-        label={langText('btnStart')}
-        disabled={buttonDisabled[container.State].start} 
-        onTouchTap={startButtonTap} />
-      <BusyFlatButton busy={containerStoppingMe(container)} 
-        label={langText('btnStop')}
-        disabled={buttonDisabled[container.State].stop} 
-        onTouchTap ={stopButtonTap} />
+      { permitted('containerStart') &&
+        <BusyFlatButton busy={containerStartingMe(container)} 
+          label={langText('btnStart')}
+          disabled={buttonDisabled[container.State].start} 
+          onTouchTap={startButtonTap} /> }
+      { permitted('containerStop') &&
+        <BusyFlatButton busy={containerStoppingMe(container)} 
+          label={langText('btnStop')}
+          disabled={buttonDisabled[container.State].stop} 
+          onTouchTap ={stopButtonTap} /> }
       <OpenButton container={container} /> 
     </div>
   )
@@ -262,21 +283,33 @@ const renderInstalledHeaderRight = (installed) => {
     })
 
   let container = installedMainContainer(installed)
+  let mainPort = (installed.ports || []).find(m => 
+    m.component === installed.recipe.components[0].name && m.containerPort.endsWith('/tcp'))
+
   return (
     <div style={{ display: 'flex', alignItems: 'center', padding:8 }}> 
-      <BusyFlatButton busy={installedStartingMe(installed)} 
-        label={langText('btnStart')}
-        disabled={buttonDisabled[container.State].start} 
-        onTouchTap={startButtonTap} />
-      <BusyFlatButton busy={installedStoppingMe(installed)} 
-        label={langText('btnStop')}
-        disabled={buttonDisabled[container.State].stop} 
-        onTouchTap ={stopButtonTap} />
-      <OpenButton container={container} /> 
+      { permitted('installedStart') &&
+        <BusyFlatButton busy={installedStartingMe(installed)} 
+          label={langText('btnStart')}
+          disabled={buttonDisabled[container.State].start} 
+          onTouchTap={startButtonTap} /> }
+      { permitted('installedStop') &&
+        <BusyFlatButton busy={installedStoppingMe(installed)} 
+          label={langText('btnStop')}
+          disabled={buttonDisabled[container.State].stop} 
+          onTouchTap ={stopButtonTap} /> }
+      <OpenButton container={container} hostPort={mainPort && mainPort.hostPort} /> 
     </div>
   )
 }
 
+const UpdateBadge = () => (
+  <div style={{fontSize:12, lineHeight:'20px', padding:'0 8px', marginLeft:8, borderRadius:10,
+    color:'white', backgroundColor:'#FF9800'}}>
+    {langText('updateAvailable')}
+  </div>
+)
+
 const renderInstalledCardHeader = (installed) => {
 
   let avatar = imagePrefix(`/images/${installed.recipe.components[0].imageLink}`)
@@ -301,6 +334,7 @@ const renderInstalledCardHeader = (installed) => {
     <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'center' }}>
       <BouncyCardHeaderLeft avatar={avatar} title={installed.recipe.appname} onClick={onClick}>
         <BouncyCardHeaderLeftText text={container.Status} />
+        { installed.updateAvailable && <UpdateBadge /> }
       </BouncyCardHeaderLeft>
       { renderInstalledHeaderRight(installed) }
     </div>
@@ -344,12 +378,62 @@ const renderContainerCardFooter = (container) => {
   return (<div style={{padding:8}}><FlatButton label={langText('btnUninstall')} onTouchTap={onTouchTap} /></div>)  
 }
 
-const renderInstalledCardFooter = (installed) => {
+// app data and images are kept unless chosen to be deleted
+class InstalledCardFooter extends React.Component {
+
+  constructor(props) {
+    super(props)
+    this.state = { open: false, deleteData: false, deleteImages: false }
+  }
 
-  let onTouchTap = () => dispatch({ type: 'SERVEROP_REQUEST', data: { operation: 'appUninstall', args: [installed.uuid] }})
-  return (<div style={{padding:8}}><FlatButton label={langText('btnUninstall')} onTouchTap={onTouchTap} /></div>)
+  render() {
+
+    let { installed } = this.props
+    let uninstall = () => {
+      this.setState({ open: false })
+      dispatch({ 
+        type: 'SERVEROP_REQUEST', 
+        data: { 
+          operation: 'appUninstall', 
+          args: [installed.uuid, this.state.deleteData, this.state.deleteImages] 
+        }
+      })
+    }
+
+    let upgrade = () => dispatch({
+      type: 'SERVEROP_REQUEST',
+      data: {
+        operation: 'appUpgrade',
+        args: [installed.uuid]
+      }
+    })
+
+    return (
+      <div style={{padding:8}}>
+        { permitted('appUpgrade') && <FlatButton label={langText('btnUpgrade')} onTouchTap={upgrade} /> }
+        { permitted('appUninstall') && 
+          <FlatButton label={langText('btnUninstall')} onTouchTap={() => this.setState({ open: true })} /> }
+        <Dialog
+          title={`${langText('uninstallTitle')} ${installed.recipe.appname}`}
+          actions={[
+            <FlatButton label={langText('btnCancel')} primary={true} onTouchTap={() => this.setState({ open: false })} />,
+            <FlatButton label={langText('btnUninstall')} primary={true} onTouchTap={uninstall} />
+          ]}
+          modal={true}
+          open={this.state.open}
+        >
+          <Toggle style={{marginTop:16}} label={langText('uninstallDeleteData')} toggled={this.state.deleteData}
+            onToggle={(e, toggled) => this.setState({ deleteData: toggled })} />
+          <Toggle style={{marginTop:16}} label={langText('uninstallDeleteImages')} toggled={this.state.deleteImages}
+            onToggle={(e, toggled) => this.setState({ deleteImages: toggled })} />
+        </Dialog>
+      </div>
+    )
+  }
 }
 
+const renderInstalledCardFooter = (installed) => <InstalledCardFooter installed={installed} />
+
 const renderContainerCard = (container) => {
 
   let deselected = { width: '98%', marginTop: 0, marginBottom: 0 }
@@ -363,8 +447,8 @@ const renderContainerCard = (container) => {
       { renderContainerCardHeader(container) }
       { me && <Divider /> }
       { me && renderContainerCardContent(container) } 
-      { me && <Divider /> }
-      { me && renderContainerCardFooter(container) }
+      { me && permitted('containerDelete') && <Divider /> }
+      { me && permitted('containerDelete') && renderContainerCardFooter(container) }
     </Paper>
   )
 }
@@ -383,32 +467,70 @@ const renderInstalledCard = (installed) => {
       { renderInstalledCardHeader(installed) }
       { me && <Divider /> }
       { me && renderContainerCardContent(container) }
-      { me && <Divider /> }
-      { me && renderInstalledCardFooter(installed) }
+      { me && (permitted('appUninstall') || permitted('appUpgrade')) && <Divider /> }
+      { me && (permitted('appUninstall') || permitted('appUpgrade')) && renderInstalledCardFooter(installed) }
     </Paper>
   ) 
 }
 
+const taskOperatingMe = (operation, task) => {
+
+  let op = serverOpStore()
+  return (op &&
+          op.operation &&
+          op.operation.operation === operation &&
+          op.operation.args[0] === task.type &&
+          op.operation.args[1] === task.id)
+}
+
+const taskOpTap = (operation, task) => () => 
+  dispatch({
+    type: 'SERVEROP_REQUEST',
+    operation: {
+      operation,
+      args: [task.type, task.id]
+    }
+  })
+
+// retry if failed, dismiss, for stopped tasks
+const renderTaskActions = (task) => {
+
+  if (task.status !== 'stopped') return null
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', padding:8 }}> 
+      { task.errno !== 0 && permitted('taskRetry') &&
+        <BusyFlatButton busy={taskOperatingMe('taskRetry', task)} label={langText('btnRetry')} 
+          onTouchTap={taskOpTap('taskRetry', task)} /> }
+      { permitted('taskDismiss') &&
+        <BusyFlatButton busy={taskOperatingMe('taskDismiss', task)} label={langText('btnDismiss')} 
+          onTouchTap={taskOpTap('taskDismiss', task)} /> }
+    </div>
+  )
+}
+
 const renderInstallingHeaderRight = (task) => {
 
-  // FIXME
-  let stopButtonTap = () => 
-    dispatch({
-      type: 'SERVEROP_REQUEST',
-      operation: {
-        operation: 'containerStop',
-        args: [task.uuid]
-      }
-    })
+  if (task.status === 'stopped') return renderTaskActions(task)
+  if (!permitted('taskCancel')) return null
 
   return (
     <div style={{ display: 'flex', alignItems: 'center', padding:8 }}> 
-      <BusyFlatButton busy={false} label={langText('btnStop')} disabled={true} 
-        onTouchTap ={stopButtonTap} />
+      <BusyFlatButton busy={taskOperatingMe('taskCancel', task)} label={langText('btnCancel')} 
+        onTouchTap={taskOpTap('taskCancel', task)} />
     </div>
   )
 }
 
+const installStatusText = (task) => {
+
+  if (task.status === 'queued') return langText('statusQueued')
+  if (task.status === 'started') return langText('statusInstalling')
+  let failure = task.failure
+  return failure && failure.stage 
+    ? `${langText('statusInstallFailed')} (${failure.stage}): ${failure.message}`
+    : `${langText('statusInstallFailed')}: ${task.message}`
+}
+
 const renderInstallingCardHeader = (task) => {
 
   let avatar = imagePrefix(`/images/${task.recipe.components[0].imageLink}`)
@@ -431,8 +553,9 @@ const renderInstallingCardHeader = (task) => {
   return (
     <div style={{display:'flex',alignItems: 'center', justifyContent:'space-between'}}>
       <BouncyCardHeaderLeft avatar={avatar} title={task.recipe.appname} onClick={onClick}>
-        <BouncyCardHeaderLeftText text={langText('statusInstalling')} width={200} />
-        <LinearProgress mode='indeterminate' style={{maxWidth:300}} />
+        <BouncyCardHeaderLeftText text={installStatusText(task)} width={task.status !== 'stopped' ? 200 : 400} />
+        { task.status === 'started' && 
+          <LinearProgress mode='determinate' value={task.progress.percent} style={{maxWidth:300}} /> }
       </BouncyCardHeaderLeft>
       { renderInstallingHeaderRight(task) }
     </div>
@@ -464,6 +587,10 @@ const renderInstallingCardContentJob = (compo, job) => {
         <div style={{fontSize:15, fotnWeight:300, opacity:0.54}}>{compo.namespace}</div>
       </div>
       <div style={ccdRightColStyle}>
+        { job.image.status === 'queued' && 
+          <LabeledText label={langText('statusQueued')} text={`#${job.image.position}`} right={4} /> }
+        { job.image.status !== 'queued' && 
+          <LinearProgress mode='determinate' value={job.image.progress.percent} style={{marginBottom:8}} /> }
         { job.image.threads && job.image.threads.map(t => <LabeledText key={t.id} label={t.id} text={threadText(t)} right={4} />) }
       </div>
     </div>
@@ -498,6 +625,64 @@ const renderInstallingCard = (task) => {
   ) 
 }
 
+const uninstallStatusText = (task) => 
+  task.status === 'started' ? langText('statusUninstalling') :
+    task.errno ? `${langText('statusUninstallFailed')}: ${task.message}` : langText('statusUninstalled')
+
+const renderUninstallingCard = (task) => {
+
+  let avatar = imagePrefix(`/images/${task.recipe.components[0].imageLink}`)
+  let rowStyle = {display:'flex', paddingLeft:72, paddingRight:16, paddingBottom:8}
+
+  return (
+    <Paper style={{ width: '98%', marginTop: 0, marginBottom: 0 }} key={`uninstall-${task.uuid}`} rounded={false} zDepth={1} >
+      <div style={{display:'flex', alignItems: 'center', justifyContent:'space-between'}}>
+        <BouncyCardHeaderLeft avatar={avatar} title={task.recipe.appname}>
+          <BouncyCardHeaderLeftText text={uninstallStatusText(task)} width={400} />
+          { task.status === 'started' && <LinearProgress mode='indeterminate' style={{maxWidth:300}} /> }
+        </BouncyCardHeaderLeft>
+        { renderTaskActions(task) }
+      </div>
+      { task.containers.map(c => 
+        <div key={c.id} style={rowStyle}>
+          <LabeledText label={c.image} text={c.message ? `${c.state} (${c.message})` : c.state} />
+        </div>) }
+      <div style={rowStyle}>
+        <LabeledText label={langText('uninstallData')} text={task.data.message ? `${task.data.state} (${task.data.message})` : task.data.state} />
+      </div>
+      { task.images.map(image => 
+        <div key={image.name} style={rowStyle}>
+          <LabeledText label={image.name} text={image.message ? `${image.state} (${image.message})` : image.state} />
+        </div>) }
+    </Paper>
+  )
+}
+
+const upgradeStatusText = (task) => 
+  task.status === 'started' ? `${langText('statusUpgrading')} (${task.stage})...` :
+    task.errno ? `${langText('statusUpgradeFailed')} (${task.stage}): ${task.message}` : langText('statusUpgraded')
+
+const renderUpgradingCard = (task) => {
+
+  let avatar = imagePrefix(`/images/${task.recipe.components[0].imageLink}`)
+  let rowStyle = {display:'flex', paddingLeft:72, paddingRight:16, paddingBottom:8}
+
+  return (
+    <Paper style={{ width: '98%', marginTop: 0, marginBottom: 0 }} key={`upgrade-${task.uuid}`} rounded={false} zDepth={1} >
+      <div style={{display:'flex', alignItems: 'center', justifyContent:'space-between'}}>
+        <BouncyCardHeaderLeft avatar={avatar} title={task.recipe.appname}>
+          <BouncyCardHeaderLeftText text={upgradeStatusText(task)} width={400} />
+          { task.status === 'started' && <LinearProgress mode='indeterminate' style={{maxWidth:300}} /> }
+        </BouncyCardHeaderLeft>
+        { renderTaskActions(task) }
+      </div>
+      <div style={rowStyle}>
+        <LabeledText label={task.from} text={task.recipeKeyString} />
+      </div>
+    </Paper>
+  )
+}
+
 /******************************************************************************
 
   Three elements renders in this page
@@ -515,12 +700,22 @@ const renderInstallingCard = (task) => {
 
 *******************************************************************************/
 
-const getInstallingTasks = () => taskStates().filter(t => t.type === 'appInstall' && t.status ==='started')
+// queued and started ones, and failed ones kept for retry or dismiss
+const getInstallingTasks = () => taskStates().filter(t => t.type === 'appInstall' && 
+  (t.status !== 'stopped' || t.errno !== 0))
+
+// including finished ones, for final status
+const getUninstallTasks = () => taskStates().filter(t => t.type === 'appUninstall')
+const getUpgradeTasks = () => taskStates().filter(t => t.type === 'appUpgrade')
 
 const getProperInstalleds = () => {
   
   let { installeds } = dockerState()
-  let tasks = getInstallingTasks()
+  let tasks = [
+    ...getInstallingTasks().filter(t => t.status !== 'stopped'), 
+    ...getUninstallTasks().filter(t => t.status === 'started'),
+    ...getUpgradeTasks().filter(t => t.status === 'started')
+  ]
 
   return installeds.filter(inst => 
     undefined === tasks.find(t => t.uuid === inst.uuid))
@@ -558,6 +753,8 @@ const renderMyAppsPage = () => {
       {/* <div style={{ fontSize:14, marginLeft:30 }} >Installing</div> */}
       <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', marginTop:0 }}>
         { getInstallingTasks().map(renderInstallingCard) }
+        { getUninstallTasks().map(renderUninstallingCard) }
+        { getUpgradeTasks().map(renderUpgradingCard) }
         { getProperInstalleds().map(renderInstalledCard) }
         { getOrphanContainers().map(renderContainerCard) }
       </div>
@@ -0,0 +1,90 @@
+import React from 'react'
+
+import { FlatButton, Dialog, TextField } from 'material-ui'
+
+import { dispatch } from '../utils/utils'
+
+const C = x => f => f ? C(f(x)) : x
+
+const encodingIndex = enc => C(enc)
+  (x => ['en_US', 'zh_CN'].indexOf(x))
+  (i => i === -1 ? 0 : i)
+  ()
+
+const langMap = {
+  undefined: ['[undefined]', '【未定义】'],
+  title: ['Login', '登录'],
+  username: ['Username', '用户名'],
+  password: ['Password', '密码'],
+  setupToken: ['Setup Token', '设置令牌'],
+  btnLogin: ['LOGIN', '登录'],
+  firstLoginHint: ['The first login on a new device creates the first admin.', '新设备上的首次登录将创建第一个管理员。'],
+  setupTokenHint: ['Enter the setup token found in the setup-token file on the device.', '请输入设备上 setup-token 文件中的设置令牌。'],
+}
+
+const langText = (prop = 'undefined') => C(prop)
+  (x => langMap[x] === undefined ? 'undefined' : x)
+  (x => langMap[x][encodingIndex(window.store.getState().lang)])
+  ()
+
+class LoginDialog extends React.Component {
+
+  constructor(props) {
+    super(props)
+    this.state = { username: '', password: '', setupToken: '' }
+  }
+
+  login() {
+    dispatch({
+      type: 'LOGIN_REQUEST',
+      username: this.state.username,
+      password: this.state.password,
+      setupToken: this.state.setupToken || undefined
+    })
+  }
+
+  render() {
+
+    let { busy, error, setup } = window.store.getState().login
+
+    return (
+      <Dialog
+        title={langText('title')}
+        actions={[
+          <FlatButton label={langText('btnLogin')} primary={true}
+            disabled={busy || !this.state.username || !this.state.password}
+            onTouchTap={() => this.login()}
+          />
+        ]}
+        modal={true}
+        open={this.props.open}
+      >
+        <div style={{fontSize:14, opacity:0.54}}>{langText(setup ? 'setupTokenHint' : 'firstLoginHint')}</div>
+        { setup &&
+          <TextField
+            floatingLabelText={langText('setupToken')}
+            fullWidth={true}
+            value={this.state.setupToken}
+            onChange={e => this.setState({ setupToken: e.target.value })}
+          /> }
+        <TextField
+          floatingLabelText={langText('username')}
+          fullWidth={true}
+          value={this.state.username}
+          onChange={e => this.setState({ username: e.target.value })}
+        />
+        <TextField
+          floatingLabelText={langText('password')}
+          type='password'
+          fullWidth={true}
+          value={this.state.password}
+          errorText={error}
+          onChange={e => this.setState({ password: e.target.value })}
+          onKeyDown={e => e.keyCode === 13 && this.state.username && this.login()}
+        />
+      </Dialog>
+    )
+  }
+}
+
+export default LoginDialog
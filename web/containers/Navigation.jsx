@@ -11,6 +11,8 @@ import Divider from 'material-ui/Divider'
 
 import AppStoreRender from './AppStore'
 import InstalledAppsRender from './InstalledApps'
+import ActivityRender from './Activity'
+import LoginDialog from './Login'
 
 import IconButton from 'material-ui/IconButton'
 import IconNavigationApps from 'material-ui/svg-icons/navigation/apps'
@@ -34,7 +36,9 @@ const langMap = {
   title: ['Docker Market', 'Docker市场'],
   appstore: ['App Store', 'Docker镜像'],
   installedApps: ['Installed Apps', '已安装镜像'],
-  switchToLang: ['中文', 'English']
+  activity: ['Activity', '活动'],
+  switchToLang: ['中文', 'English'],
+  logout: ['Logout', '注销']
 }
 
 const langText = (prop = 'undefined') => C(prop)
@@ -56,6 +60,14 @@ export const decoration = [
     text: 'installedApps',
     render: InstalledAppsRender,
     themeColor: 'blue'
+  },
+  {
+    name: 'ACTIVITY',
+    text: 'activity',
+    render: ActivityRender,
+    themeColor: 'blue',
+    // history is fetched on demand
+    onActive: () => dispatch({type: 'ACTIVITY_REQUEST', offset: 0})
   }
 ]
 
@@ -80,6 +92,7 @@ class Navigation extends React.Component {
               onActive={() => {
                 dispatch({type: 'NAV_SELECT', select: item.name})
                 dispatch({type: 'THEME_COLOR', color: item.themeColor}) 
+                if (item.onActive) item.onActive()
               }}
             />)
   }
@@ -117,6 +130,7 @@ class Navigation extends React.Component {
         Object.assign({}, item, decoration[index]))
 
     let navSelect = navList.find(item => item.selected)
+    let loggedIn = !!window.store.getState().login.token
 
     return (
       <div>
@@ -131,6 +145,12 @@ class Navigation extends React.Component {
                         type: 'TOGGLE_LANG'
                       })}
                     />
+                    { loggedIn && 
+                      <FlatButton style={{color:'white'}} label={langText('logout')} 
+                        onTouchTap={() => window.store.dispatch({
+                          type: 'LOGOUT'
+                        })}
+                      /> }
                   </div>
                 </AppBar>
                   <Transition opts={ ['tabs', false, true, false, 300, 600, 5000 ] }>
@@ -166,6 +186,8 @@ class Navigation extends React.Component {
           </div>
         </div>
 
+        <LoginDialog open={!loggedIn} />
+
         {/* snackbar */}
         <Snackbar 
           open={snackbarStore().open} 
@@ -0,0 +1,43 @@
+const request = require('superagent')
+import { dispatch } from '../utils/utils'
+import { authHeader } from '../utils/token'
+
+const PAGESIZE = 20
+
+/*
+ * task history, one page at a time. agent is set while requesting, page is
+ * { total, offset, limit, entries } as returned by server
+ */
+const reducer = (state = { agent: null, page: null }, action) => {
+
+  switch (action.type) {
+  case 'ACTIVITY_REQUEST': {
+    if (state.agent) return state
+    let offset = action.offset || 0
+    let agent = request.get('/tasks/history')
+      .query({ offset, limit: PAGESIZE })
+      .set('Accept', 'application/json')
+      .set('Authorization', authHeader())
+      .end((err, res) => dispatch({ type: 'ACTIVITY_RESPONSE', err, res }))
+    return Object.assign({}, state, { agent })
+  }
+
+  case 'ACTIVITY_RESPONSE':
+    if (action.err) {
+      if (action.err.status === 401) 
+        setTimeout(() => dispatch({ type: 'LOGOUT' }), 0)
+      else 
+        setTimeout(() => dispatch({
+          type: 'SNACKBAR_OPEN',
+          data: `ERROR, task history, err: ${(action.res && action.res.body && action.res.body.message) || action.err.message}`
+        }), 0)
+      return Object.assign({}, state, { agent: null })
+    }
+    return { agent: null, page: action.res.body }
+
+  default:
+    return state
+  }
+}
+
+export default reducer
@@ -1,7 +1,12 @@
 const request = require('superagent')
 import { dispatch } from '../utils/utils'
+import { authHeader } from '../utils/token'
 
-const reducer = (state = { selectedApp: null, customApp: false }, action) => {
+/*
+ * plan: install plan for confirmation, { request, agent } while requesting,
+ * { request, result } when received
+ */
+const reducer = (state = { selectedApp: null, customApp: false, plan: null }, action) => {
 
   switch (action.type) {
   case 'STORE_SELECTEDAPP':    
@@ -9,6 +14,33 @@ const reducer = (state = { selectedApp: null, customApp: false }, action) => {
 
   case 'STORE_CUSTOMAPP':
     return Object.assign({}, state, { customApp: action.data })
+
+  case 'STORE_PLAN_REQUEST': {
+    if (state.plan) return state
+    let agent = request.post('/apps/plan')
+      .send(action.data)
+      .set('Accept', 'application/json')
+      .set('Authorization', authHeader())
+      .end((err, res) => dispatch({ type: 'STORE_PLAN_RESPONSE', err, res }))
+    return Object.assign({}, state, { plan: { request: action.data, agent } })
+  }
+
+  case 'STORE_PLAN_RESPONSE':
+    if (!state.plan) return state
+    if (action.err) {
+      if (action.err.status === 401) 
+        setTimeout(() => dispatch({ type: 'LOGOUT' }), 0)
+      else 
+        setTimeout(() => dispatch({
+          type: 'SNACKBAR_OPEN',
+          data: `ERROR, install plan, err: ${(action.res && action.res.body && action.res.body.message) || action.err.message}`
+        }), 0)
+      return Object.assign({}, state, { plan: null })
+    }
+    return Object.assign({}, state, { plan: { request: state.plan.request, result: action.res.body } })
+
+  case 'STORE_PLAN_CLEAR':
+    return Object.assign({}, state, { plan: null })
   
   default:
     return state
@@ -17,4 +49,3 @@ const reducer = (state = { selectedApp: null, customApp: false }, action) => {
 
 export default reducer
 
-
@@ -6,6 +6,8 @@ import themeColor from './themeColor'
 import navigation from './navigation'
 import appstore from './appstore'
 import installed from './installed'
+import activity from './activity'
+import login from './login'
 import { server, serverOp, snackbar } from './server'
  
 const reducer = combineReducers({
@@ -15,6 +17,8 @@ const reducer = combineReducers({
   navigation,
   appstore,
   installed,
+  activity,
+  login,
   server,
   serverOp,
   snackbar
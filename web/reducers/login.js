@@ -0,0 +1,48 @@
+import request from 'superagent'
+import { dispatch } from '../utils/utils'
+import { getToken, setToken, clearToken } from '../utils/token'
+
+const defaultState = () => ({
+  token: getToken(),
+  user: null,
+  busy: false,
+  error: null,
+  setup: false          // first admin, setup token required
+})
+
+const login = (state = defaultState(), action) => {
+
+  switch (action.type) {
+  case 'LOGIN_REQUEST':
+
+    if (state.busy) return state
+    request.post('/login')
+      .send({ username: action.username, password: action.password, setupToken: action.setupToken })
+      .set('Accept', 'application/json')
+      .end((err, res) => err ? 
+        dispatch({ 
+          type: 'LOGIN_FAILED', 
+          error: (res && res.body && res.body.message) || err.message,
+          setup: !!(res && res.body && res.body.code === 'ESETUPTOKEN')
+        }) :
+        dispatch({ type: 'LOGIN_SUCCESS', token: res.body.token, user: res.body.user }))
+
+    return Object.assign({}, state, { busy: true, error: null })
+
+  case 'LOGIN_SUCCESS':
+    setToken(action.token)
+    return { token: action.token, user: action.user, busy: false, error: null, setup: false }
+
+  case 'LOGIN_FAILED':
+    return Object.assign({}, state, { busy: false, error: action.error, setup: state.setup || action.setup })
+
+  case 'LOGOUT':
+    clearToken()
+    return { token: null, user: null, busy: false, error: null, setup: false }
+
+  default:
+    return state
+  }
+}
+
+export default login
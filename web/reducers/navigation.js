@@ -1,6 +1,7 @@
 let navDefault = [
   { name: 'APPSTORE',        selected: true },
   { name: 'INSTALLED_APPS',  selected: false },
+  { name: 'ACTIVITY',        selected: false },
 ] 
   
 const navigation = (state = navDefault, action) => {
@@ -1,5 +1,6 @@
 import request from 'superagent'
 import { dispatch } from '../utils/utils'
+import { authHeader } from '../utils/token'
 
 function pollingMachine(url, actionType, period) {
 
@@ -15,9 +16,16 @@ function pollingMachine(url, actionType, period) {
     req = request
       .get(url)
       .set('Accept', 'application/json')
+      .set('Authorization', authHeader())
       .end((err, res) => {
 
         req = null
+        if (err && err.status === 401) {
+          // token expired or revoked, stop here
+          dispatch({ type: 'LOGOUT' })
+          return
+        }
+
         if (err) {
           // schedule another get
           timeout = setTimeout(() => get(), period)
@@ -40,9 +48,15 @@ function pollingMachine(url, actionType, period) {
     req = request
       .get(url + '/status')
       .set('Accept', 'application/json')
+      .set('Authorization', authHeader())
       .end((err, res) => {
 
         req = null
+        if (err && err.status === 401) {
+          dispatch({ type: 'LOGOUT' })
+          return
+        }
+
         if (err) {
           // schedule another head
           timeout = setTimeout(() => getStatus(), period)
@@ -2,19 +2,28 @@ import { dispatch } from '../utils/utils'
 
 import request from 'superagent'
 import deepFreeze from 'deep-freeze'
+import { getToken, authHeader } from '../utils/token'
 import pollingMachine from './polling'
+import streamingMachine from './streaming'
 
 const serverUrl = '/server'
 
+// polling is used only when streaming is unavailable
 let polling = pollingMachine(serverUrl, 'SERVER_UPDATE', 1000)
+let streaming = streamingMachine(serverUrl + '/stream', 'SERVER_UPDATE', polling)
 
 const server = (state = { state: null }, action) => {
   
   switch(action.type) {
   case 'LOGIN_SUCCESS':
-    polling.start()
+    streaming.start()
     return state
 
+  case 'LOGOUT':
+    streaming.stop()
+    if (polling.started()) polling.stop()
+    return { state: null }
+
   case 'SERVER_UPDATE':
     console.log('SERVER_UPDATE')
     return { state: action.data }
@@ -33,13 +42,17 @@ const serverOp = (state = null, action) => {
     let agent = request.post('/server')
       .send(action.data)
       .set('Accept', 'application/json')
+      .set('Authorization', authHeader())
       .end((err, res) => dispatch({ type: 'SERVEROP_RESPONSE', err, res }))   
-    polling.stop()
+    if (polling.started()) polling.stop()
     return Object.assign({}, action.data, { agent })
   
   case 'SERVEROP_RESPONSE':
  
     if (state.mute) { }
+    else if (action.err && action.err.status === 401) {
+      setTimeout(() => dispatch({ type: 'LOGOUT' }), 0)
+    }
     else if (action.err) {
       setTimeout(() => dispatch({
         type: 'SNACKBAR_OPEN', 
@@ -68,10 +81,10 @@ const serverOp = (state = null, action) => {
     if (state.operation === 'mkfs_btrfs') {
       setTimeout(() => {
         dispatch({type: 'STORAGE_CREATE_VOLUME_END'})
-        setTimeout(() => polling.start(), 1000)
+        setTimeout(() => streaming.started() || polling.start(), 1000)
       }, 1000)
     }
-    else 
+    else if (!streaming.started() && getToken())
       polling.start()
 
     return Object.assign({}, state, { agent: null })
@@ -96,7 +109,8 @@ const snackbar = (state = { open: false, message: '' }, action) => {
   }
 }
 
-polling.start()
+// logged in before page reload
+if (getToken()) streaming.start()
 
 export { server, serverOp, snackbar }
 
@@ -0,0 +1,90 @@
+import { applyPatch } from 'fast-json-patch'
+import { dispatch } from '../utils/utils'
+import { getToken } from '../utils/token'
+
+/*
+ * subscribe server state via server-sent events. The first 'facade' event
+ * carries the whole state, following 'patch' events carry json-patch diffs.
+ * If the stream is unavailable, fallback (a polling machine) is started instead.
+ */
+function streamingMachine(url, actionType, fallback) {
+
+  let source = null
+  let state = null
+
+  const fallbackStart = () => {
+
+    if (source) source.close()
+    source = null
+    state = null
+    if (!fallback.started()) fallback.start()
+  }
+
+  const onFacade = (e) => {
+
+    state = JSON.parse(e.data)
+    if (fallback.started()) fallback.stop()
+    dispatch({
+      type: actionType,
+      data: state
+    })
+  }
+
+  const onPatch = (e) => {
+
+    // patch before facade, should not happen
+    if (state === null) return
+
+    try {
+      let clone = JSON.parse(JSON.stringify(state))
+      state = applyPatch(clone, JSON.parse(e.data)).newDocument
+    }
+    catch (err) {
+      // out of sync, reconnect and get a fresh facade
+      source.close()
+      source = null
+      state = null
+      start()
+      return
+    }
+
+    dispatch({
+      type: actionType,
+      data: state
+    })
+  }
+
+  const start = () => {
+
+    if (source) return
+    if (typeof window.EventSource !== 'function') return fallbackStart()
+
+    // EventSource can not set header
+    source = new window.EventSource(`${url}?token=${encodeURIComponent(getToken())}`)
+    source.addEventListener('facade', onFacade)
+    source.addEventListener('patch', onPatch)
+    source.onerror = () => {
+      // browser retries by itself unless closed, or never connected
+      if (source.readyState === window.EventSource.CLOSED || state === null)
+        fallbackStart()
+    }
+  }
+
+  const stop = () => {
+
+    if (source) source.close()
+    if (fallback.started()) fallback.stop()
+
+    source = null
+    state = null
+  }
+
+  const started = () => {
+
+    return source !== null
+  }
+
+  return {start, started, stop}
+}
+
+export default streamingMachine
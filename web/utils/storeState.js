@@ -9,6 +9,7 @@ export const installedStore = () => localStore() ? localStore().installed : null
 export const serverOpStore = () => localStore() ? localStore().serverOp : null
 export const snackbarStore = () => localStore() ? localStore().snackbar : null
 export const themeStore = () => localStore() ? localStore().themeColor : null
+export const activityStore = () => localStore() ? localStore().activity : null
 
 export const serverState = () => {
   let server = window.store.getState().server
@@ -19,6 +20,13 @@ export const dockerState = () => serverState() ? serverState().docker : null
 export const appstoreState = () => serverState() ? serverState().appstore : null
 export const taskStates = () => serverState() ? serverState().tasks : null
 export const developerState = () => serverState() ? serverState().developer : null
+export const userState = () => serverState() ? serverState().user : null
+
+// whether current user may perform the operation, according to server
+export const permitted = (operation) => {
+  let user = userState()
+  return !!user && Array.isArray(user.operations) && user.operations.indexOf(operation) !== -1
+}
 
 export const dispatch = (action) => window.store.dispatch(action)
 
@@ -0,0 +1,10 @@
+
+const tokenKey = 'appifi-token'
+
+// jwt issued by /login, persisted across page reload
+export const getToken = () => window.localStorage.getItem(tokenKey)
+export const setToken = (token) => window.localStorage.setItem(tokenKey, token)
+export const clearToken = () => window.localStorage.removeItem(tokenKey)
+
+export const authHeader = () => `Bearer ${getToken()}`
+